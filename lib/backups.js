@@ -0,0 +1,123 @@
+// Naming and layout of what the scheduler stores, and how backups form
+// chains, shared with the restore tool so both read backups, binlogs and
+// logical dumps the same way:
+//   full_backup_<timestamp>.<archive>    a full physical backup
+//   inc_backup_<timestamp>.<archive>     an incremental on top of the previous backup
+//   binlogs/<binlog file>.gz             an archived binary log
+//   logical/logical_backup_<timestamp>/  a logical backup, with a manifest.json
+// Timestamps are UTC, YYYYMMDDHHmmss or YYYYMMDD.
+
+// Closed binary logs are archived under this prefix on every destination
+export const BINLOG_PREFIX = "binlogs/";
+
+// Logical backups are stored under this prefix on every destination, one
+// directory per run with a compressed dump of each database and a manifest:
+//   logical/logical_backup_20261019000000/shop.sql.gz
+//   logical/logical_backup_20261019000000/manifest.json
+export const LOGICAL_PREFIX = "logical/";
+export const LOGICAL_MANIFEST = "manifest.json";
+
+// Schemas of the server itself, which logical backups leave out and whose
+// tables can't be restored individually
+export const SYSTEM_SCHEMAS = ["mysql", "sys", "performance_schema", "information_schema"];
+
+// Helper function to get the sequence number of a binlog file (binlog.000012 -> 12)
+export function getBinlogSequence(name) {
+  return parseInt(name.match(/\.(\d+)(?:\.|$)/)[1], 10);
+}
+
+// Helper function to parse the UTC timestamp in a backup name
+// (YYYYMMDDHHmmss, or YYYYMMDD for a date only)
+export function parseBackupDate(dateStr) {
+  return new Date(
+    dateStr.substr(0, 4) + "-" +
+    dateStr.substr(4, 2) + "-" +
+    dateStr.substr(6, 2) + "T" +
+    (dateStr.substr(8, 2) || "00") + ":" +
+    (dateStr.substr(10, 2) || "00") + ":" +
+    (dateStr.substr(12, 2) || "00") + "Z"
+  );
+}
+
+// Helper function to group backups (oldest first, each with isIncremental)
+// into chains: a full backup and the incrementals taken after it, up to the
+// next full backup. Incrementals older than any full backup form a chain
+// without a full.
+export function groupIntoChains(backups) {
+  const chains = [];
+  for (const backup of backups) {
+    if (!backup.isIncremental || chains.length === 0) {
+      chains.push({ full: backup.isIncremental ? null : backup, backups: [] });
+    }
+    chains[chains.length - 1].backups.push(backup);
+  }
+  return chains;
+}
+
+// Function to find the backups needed to restore a backup that has a
+// manifest, by following LSNs: each incremental's fromLsn must match the
+// toLsn of the backup it was taken against, back to a full backup.
+export function findChainByLsn(backups, selectedBackup) {
+  const chain = [selectedBackup];
+  let current = selectedBackup;
+
+  while (current.manifest.type === "incremental") {
+    const { fromLsn, parentId } = current.manifest;
+    const candidates = backups
+      .filter((b) => b.manifest && b.manifest.toLsn === fromLsn && b.date < current.date)
+      .sort((a, b) => b.date - a.date);
+
+    if (candidates.length === 0) {
+      throw new Error(`Gap in backup chain: no backup ends at LSN ${fromLsn}, where ${current.filename} starts (recorded base: ${parentId || "unknown"}). Incremental backups cannot be restored without their base backup.`);
+    }
+
+    // Several backups can end at the same LSN when nothing changed between
+    // them, so prefer the parent recorded in the manifest
+    const parent = candidates.find((b) => b.manifest.id === parentId) || candidates[0];
+    chain.unshift(parent);
+    current = parent;
+  }
+
+  validateChain(chain);
+  return chain;
+}
+
+// Helper function to check that a chain starts with a full backup and that
+// each incremental starts exactly where the backup before it ends. A gap
+// would make xtrabackup --prepare fail, or worse, silently lose changes.
+function validateChain(chain) {
+  if (chain[0].manifest.type !== "full") {
+    throw new Error(`Backup chain starts with ${chain[0].filename}, which is not a full backup`);
+  }
+
+  for (let i = 1; i < chain.length; i++) {
+    const previous = chain[i - 1].manifest;
+    const { fromLsn, toLsn } = chain[i].manifest;
+    if (fromLsn !== previous.toLsn) {
+      throw new Error(`Gap in backup chain: ${chain[i].filename} starts at LSN ${fromLsn}, but ${chain[i - 1].filename} ends at LSN ${previous.toLsn}`);
+    }
+    if (BigInt(toLsn) < BigInt(fromLsn)) {
+      throw new Error(`Invalid LSN range in ${chain[i].filename}: ${fromLsn} to ${toLsn}`);
+    }
+  }
+}
+
+// Helper function to format bytes to human readable
+export function formatBytes(bytes) {
+  const sizes = ["B", "KB", "MB", "GB", "TB"];
+  if (bytes === 0) return "0 B";
+  const i = parseInt(Math.floor(Math.log(bytes) / Math.log(1024)));
+  return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + " " + sizes[i];
+}
+
+// Helper function to format a duration in seconds as h/m/s
+export function formatDuration(seconds) {
+  if (!isFinite(seconds)) return "--";
+  seconds = Math.round(seconds);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return `${m}m ${s}s`;
+  return `${s}s`;
+}
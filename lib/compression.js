@@ -0,0 +1,150 @@
+import { spawn } from "child_process";
+import os from "os";
+import { Duplex, PassThrough } from "stream";
+import zlib from "zlib";
+
+// Compression of backup archives. COMPRESSION picks the codec:
+//   gzip        zlib in-process, single-threaded (the default)
+//   pigz        gzip-compatible output compressed on several threads
+//   zstd        zstd on several threads; much faster at a similar ratio
+//   xtrabackup  xtrabackup --compress=zstd compresses each file itself, and
+//               the archive around them isn't compressed again
+// The codec shows in the archive extension (.gz, .zst or none), which is how
+// the restore tool knows how to decompress it.
+
+export const CODECS = {
+  gzip: { extension: ".gz", levels: [1, 9], defaultLevel: 6 },
+  pigz: { extension: ".gz", levels: [1, 9], defaultLevel: 6 },
+  zstd: { extension: ".zst", levels: [1, 19], defaultLevel: 3 },
+  xtrabackup: { extension: "", levels: [1, 19], defaultLevel: 1 },
+};
+
+// Helper function to validate the compression settings. level and threads
+// may be undefined for the codec's default and one per CPU.
+export function parseCompression({ codec = "gzip", level, threads }) {
+  const settings = CODECS[codec];
+  if (!settings) {
+    throw new Error(`Invalid COMPRESSION "${codec}", expected ${Object.keys(CODECS).join(", ")}`);
+  }
+  const [min, max] = settings.levels;
+  const parsedLevel = level === undefined || level === "" ? settings.defaultLevel : Number(level);
+  if (!Number.isInteger(parsedLevel) || parsedLevel < min || parsedLevel > max) {
+    throw new Error(`Invalid COMPRESSION_LEVEL "${level}" for ${codec}, expected ${min} to ${max}`);
+  }
+  const parsedThreads = threads === undefined || threads === "" ? os.availableParallelism() : Number(threads);
+  if (!Number.isInteger(parsedThreads) || parsedThreads < 1) {
+    throw new Error(`Invalid COMPRESSION_THREADS "${threads}", expected a positive number`);
+  }
+  return { codec, level: parsedLevel, threads: parsedThreads, extension: settings.extension };
+}
+
+// Helper function to get the xtrabackup arguments for a codec: only
+// COMPRESSION=xtrabackup has xtrabackup compress the files it copies
+export function getXtrabackupCompressArgs(compression) {
+  if (compression.codec !== "xtrabackup") return [];
+  return [
+    "--compress=zstd",
+    `--compress-zstd-level=${compression.level}`,
+    `--compress-threads=${compression.threads}`,
+  ];
+}
+
+// Helper function to get the command tar should compress an archive with
+// (for --use-compress-program), or null to leave the archive uncompressed
+export function getCompressProgram(compression) {
+  switch (compression.codec) {
+    case "gzip":
+      return `gzip -${compression.level}`;
+    case "pigz":
+      return `pigz -${compression.level} -p ${compression.threads}`;
+    case "zstd":
+      return `zstd -${compression.level} -T${compression.threads} -q`;
+    default:
+      return null;
+  }
+}
+
+// Helper function to run a command as a transform stream: what is written
+// goes to its stdin, and its stdout is readable. The stream only ends once
+// the command exited successfully, and fails with its stderr otherwise.
+export function createCommandStream(command, args) {
+  const proc = spawn(command, args, { stdio: ["pipe", "pipe", "pipe"] });
+  let stderr = "";
+
+  const stream = new Duplex({
+    write(chunk, encoding, callback) {
+      if (proc.stdin.write(chunk)) {
+        callback();
+      } else {
+        proc.stdin.once("drain", callback);
+      }
+    },
+    final(callback) {
+      proc.stdin.end(callback);
+    },
+    read() {
+      proc.stdout.resume();
+    },
+    destroy(error, callback) {
+      if (proc.exitCode === null) proc.kill();
+      callback(error);
+    },
+  });
+
+  proc.stdout.on("data", (chunk) => {
+    if (!stream.push(chunk)) proc.stdout.pause();
+  });
+  // Only the end of the output is useful in an error message
+  proc.stderr.on("data", (data) => (stderr = (stderr + data).slice(-4096)));
+  // Writing fails with EPIPE when the command died; its exit code says why
+  proc.stdin.on("error", () => {});
+  proc.on("error", (error) => stream.destroy(error));
+  proc.on("close", (code) => {
+    if (code === 0) {
+      stream.push(null);
+      return;
+    }
+    const error = new Error(`${command} failed with exit code ${code}${stderr ? `: ${stderr.trim()}` : ""}`);
+    error.command = command;
+    error.stderr = stderr;
+    stream.destroy(error);
+  });
+
+  return stream;
+}
+
+// Helper function to create a stream that compresses with the given codec.
+// With COMPRESSION=xtrabackup the data is already compressed and passes
+// through unchanged.
+export function createCompressStream(compression) {
+  if (compression.codec === "gzip") {
+    return zlib.createGzip({ level: compression.level });
+  }
+  const program = getCompressProgram(compression);
+  if (!program) {
+    return new PassThrough();
+  }
+  const [command, ...args] = program.split(" ");
+  return createCommandStream(command, args);
+}
+
+// Helper function to get the codec an archive was compressed with from its
+// name (without any encryption suffix): "gzip", "zstd", or null
+export function getArchiveCodec(filename) {
+  if (filename.endsWith(".gz")) return "gzip";
+  if (filename.endsWith(".zst")) return "zstd";
+  return null;
+}
+
+// Helper function to create a stream that decompresses an archive, based on
+// its name, or null if it isn't compressed as a whole
+export function createDecompressStream(filename) {
+  switch (getArchiveCodec(filename)) {
+    case "gzip":
+      return zlib.createGunzip();
+    case "zstd":
+      return createCommandStream("zstd", ["-d", "-c", "-q"]);
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,243 @@
+import crypto from "crypto";
+import { Transform } from "stream";
+
+// Client-side encryption of backup archives with AES-256-GCM.
+//
+// Encrypted archive layout:
+//   header:   "XBSENC01" | key id length (1 byte) | key id | nonce prefix (8 bytes)
+//   segments: plaintext length (4 bytes BE) | ciphertext | GCM tag (16 bytes)
+//
+// Each segment is sealed with nonce = prefix | counter (4 bytes BE) and a
+// one-byte AAD marking the final segment, so reordered, truncated or tampered
+// archives fail to decrypt. Segmenting keeps every GCM message far below its
+// ~64 GB limit, which a full backup of a large database would exceed.
+const MAGIC = Buffer.from("XBSENC01");
+const SEGMENT_SIZE = 1024 * 1024;
+const NONCE_PREFIX_LENGTH = 8;
+const TAG_LENGTH = 16;
+
+// Suffix appended to the name of archives encrypted by the scheduler
+export const ENCRYPTED_EXTENSION = ".enc";
+
+// Helper function to derive a short, stable id for a key. The id is stored
+// with each backup so restore can pick the right key after a rotation.
+export function getKeyId(material) {
+  return crypto
+    .createHash("sha256")
+    .update(material.trim())
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// Helper function to turn key material into a 32-byte AES key. Accepts 64 hex
+// characters, base64, or a plain 32-character string.
+export function parseKey(material) {
+  const text = material.trim();
+  if (/^[0-9a-fA-F]{64}$/.test(text)) {
+    return Buffer.from(text, "hex");
+  }
+  if (/^[A-Za-z0-9+/]{43}=$/.test(text)) {
+    return Buffer.from(text, "base64");
+  }
+  if (Buffer.byteLength(text) === 32) {
+    return Buffer.from(text);
+  }
+  throw new Error(
+    "Encryption key must be 32 bytes, given as 64 hex characters, base64, or a 32-character string",
+  );
+}
+
+// Minimal FIFO of buffers, so segments can be cut without re-concatenating
+// everything received so far on every chunk
+function createBufferQueue() {
+  const chunks = [];
+  let length = 0;
+
+  return {
+    get length() {
+      return length;
+    },
+    push(chunk) {
+      chunks.push(chunk);
+      length += chunk.length;
+    },
+    peek(size) {
+      const parts = [];
+      let collected = 0;
+      for (const chunk of chunks) {
+        if (collected >= size) break;
+        parts.push(chunk.subarray(0, size - collected));
+        collected += parts[parts.length - 1].length;
+      }
+      return Buffer.concat(parts, collected);
+    },
+    read(size) {
+      const data = this.peek(size);
+      let remaining = data.length;
+      while (remaining > 0) {
+        if (chunks[0].length <= remaining) {
+          remaining -= chunks[0].length;
+          chunks.shift();
+        } else {
+          chunks[0] = chunks[0].subarray(remaining);
+          remaining = 0;
+        }
+      }
+      length -= data.length;
+      return data;
+    },
+  };
+}
+
+function getNonce(prefix, counter) {
+  const nonce = Buffer.alloc(NONCE_PREFIX_LENGTH + 4);
+  prefix.copy(nonce);
+  nonce.writeUInt32BE(counter, NONCE_PREFIX_LENGTH);
+  return nonce;
+}
+
+// Helper function to create a random nonce prefix for createEncryptStream
+export function createNoncePrefix() {
+  return crypto.randomBytes(NONCE_PREFIX_LENGTH);
+}
+
+// Helper function to create a stream that encrypts an archive with the given
+// key. Pass the same nonce prefix only to re-encrypt the same plaintext, e.g.
+// when retrying an upload: the output is then identical, and no nonce is
+// ever used for two different messages.
+export function createEncryptStream(material, noncePrefix = createNoncePrefix()) {
+  const key = parseKey(material);
+  const keyId = Buffer.from(getKeyId(material));
+  const pending = createBufferQueue();
+  let counter = 0;
+
+  const seal = (plaintext, final) => {
+    if (counter > 0xffffffff) {
+      throw new Error("Archive too large to encrypt with a single nonce prefix");
+    }
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, getNonce(noncePrefix, counter++));
+    cipher.setAAD(Buffer.from([final ? 1 : 0]));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(plaintext.length);
+    return Buffer.concat([length, ciphertext, cipher.getAuthTag()]);
+  };
+
+  return new Transform({
+    construct(callback) {
+      this.push(Buffer.concat([MAGIC, Buffer.from([keyId.length]), keyId, noncePrefix]));
+      callback();
+    },
+    transform(chunk, encoding, callback) {
+      try {
+        pending.push(chunk);
+        // Always hold data back so the last segment can be sealed as final
+        while (pending.length > SEGMENT_SIZE) {
+          this.push(seal(pending.read(SEGMENT_SIZE), false));
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        this.push(seal(pending.read(pending.length), true));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+}
+
+// Helper function to read the key id from the header of an encrypted archive
+function parseHeader(pending) {
+  const fixedLength = MAGIC.length + 1;
+  if (pending.length < fixedLength) return null;
+
+  const start = pending.peek(fixedLength);
+  if (!start.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new Error("Not an encrypted backup archive (bad header)");
+  }
+
+  const headerLength = fixedLength + start[MAGIC.length] + NONCE_PREFIX_LENGTH;
+  if (pending.length < headerLength) return null;
+
+  const header = pending.read(headerLength);
+  return {
+    keyId: header.subarray(fixedLength, headerLength - NONCE_PREFIX_LENGTH).toString(),
+    noncePrefix: header.subarray(headerLength - NONCE_PREFIX_LENGTH),
+  };
+}
+
+// Helper function to create a stream that decrypts an archive. keys maps key
+// ids to key material; the archive header says which key it needs, so
+// backups made before a key rotation stay restorable as long as the old key
+// is supplied.
+export function createDecryptStream(keys) {
+  const pending = createBufferQueue();
+  let header = null;
+  let key = null;
+  let counter = 0;
+
+  const open = (final) => {
+    const length = pending.peek(4).readUInt32BE(0);
+    const sealed = pending.read(4 + length + TAG_LENGTH);
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, getNonce(header.noncePrefix, counter++));
+    decipher.setAAD(Buffer.from([final ? 1 : 0]));
+    decipher.setAuthTag(sealed.subarray(4 + length));
+    try {
+      return Buffer.concat([decipher.update(sealed.subarray(4, 4 + length)), decipher.final()]);
+    } catch {
+      throw new Error("Encrypted archive failed authentication (wrong key, or the archive is corrupted or truncated)");
+    }
+  };
+
+  // Length of the next complete segment in the queue, or null if incomplete
+  const nextSegmentLength = () => {
+    if (pending.length < 4) return null;
+    const segmentLength = 4 + pending.peek(4).readUInt32BE(0) + TAG_LENGTH;
+    return pending.length >= segmentLength ? segmentLength : null;
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        pending.push(chunk);
+
+        if (!header) {
+          header = parseHeader(pending);
+          if (!header) return callback();
+
+          const material = keys.get(header.keyId);
+          if (!material) {
+            throw new Error(`No decryption key with id ${header.keyId} is configured`);
+          }
+          key = parseKey(material);
+        }
+
+        // A segment is only known not to be the final one once more data follows it
+        let segmentLength;
+        while ((segmentLength = nextSegmentLength()) && pending.length > segmentLength) {
+          this.push(open(false));
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        const segmentLength = header && nextSegmentLength();
+        if (!segmentLength || pending.length !== segmentLength) {
+          throw new Error("Encrypted archive is truncated");
+        }
+        this.push(open(true));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+}
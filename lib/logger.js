@@ -0,0 +1,134 @@
+import { AsyncLocalStorage } from "async_hooks";
+import readline from "readline";
+import util from "util";
+
+// Logging for the scheduler and the restore tool. By default each line is an
+// ISO timestamp followed by the message. With LOG_FORMAT=json each line is a
+// JSON object for log pipelines:
+//   { time, level, msg, instance, runId, type, stage, ...fields }
+// runId, type and stage come from the run the message was logged in (see
+// runWithLogContext), so all records of one backup can be correlated. A plain
+// object as the last argument adds fields, e.g. log("Uploaded", { bytes }),
+// which only appear in JSON output.
+
+const runContext = new AsyncLocalStorage();
+
+// Read on use rather than on import, as the scripts load .env after imports
+export function isJsonLogging() {
+  return process.env.LOG_FORMAT === "json";
+}
+
+// Set when stdout carries machine-readable output (e.g. restore.js list
+// --json), so log messages go to stderr instead
+let toStderr = false;
+
+export function setLogToStderr(enabled) {
+  toStderr = enabled;
+}
+
+// Helper function to sanitize error messages (or plain text, such as
+// command output)
+export function sanitizeError(error) {
+  if (typeof error === "string") {
+    return sanitizeError({ message: error });
+  }
+  if (error && error.message) {
+    // Replace password in error messages
+    return error.message.replace(/--password=[^\s]+/g, '--password=***');
+  }
+  return error;
+}
+
+function isFields(arg) {
+  return arg !== null && typeof arg === "object" && Object.getPrototypeOf(arg) === Object.prototype;
+}
+
+// Helper function to write a JSON record, with the fields of the current run
+function writeRecord(level, record) {
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    // In multi-instance mode the supervisor forwards records as they are
+    ...(process.env.INSTANCE_NAME && { instance: process.env.INSTANCE_NAME }),
+    ...runContext.getStore(),
+    ...record,
+  });
+  (level === "error" || toStderr ? process.stderr : process.stdout).write(line + "\n");
+}
+
+function write(level, args) {
+  const fields = args.length > 1 && isFields(args[args.length - 1]) ? args.pop() : {};
+
+  if (!isJsonLogging()) {
+    const timestamp = new Date().toISOString();
+    if (level === "error") {
+      // Sanitize any Error objects in the arguments
+      console.error(timestamp, ...args.map((arg) => (arg instanceof Error ? sanitizeError(arg) : arg)));
+    } else {
+      (toStderr ? console.error : console.log)(timestamp, ...args);
+    }
+    return;
+  }
+
+  const error = args.find((arg) => arg instanceof Error);
+  const msg = args
+    .filter((arg) => !(arg instanceof Error))
+    .map((arg) => (typeof arg === "string" ? arg : util.inspect(arg)))
+    .join(" ")
+    .trim()
+    .replace(/:$/, "");
+  writeRecord(level, {
+    msg: sanitizeError(msg),
+    ...(error && { error: sanitizeError(error), errorCode: error.code }),
+    ...fields,
+  });
+}
+
+export function log(...args) {
+  write("info", args);
+}
+
+export function logError(...args) {
+  write("error", args);
+}
+
+// Helper function to run fn with fields (e.g. { runId, type }) attached to
+// every record logged while it runs, including output of commands it starts
+export function runWithLogContext(fields, fn) {
+  return runContext.run({ ...fields }, fn);
+}
+
+// Helper function to add fields to the current run, e.g. the stage it reached
+export function setLogContext(fields) {
+  Object.assign(runContext.getStore() || {}, fields);
+}
+
+// Helper function to log one line of a child process's output. JSON records
+// (from another process logging with LOG_FORMAT=json) are passed through
+// with the current run's fields added; anything else becomes a record of
+// the given level.
+export function logOutputLine(line, fields = {}, level = "info") {
+  if (line.startsWith("{")) {
+    try {
+      const record = JSON.parse(line);
+      writeRecord(record.level || level, { ...fields, ...record });
+      return;
+    } catch {
+      // Not JSON after all
+    }
+  }
+  writeRecord(level, { ...fields, msg: sanitizeError(line) });
+}
+
+// Helper function to forward a command's stdout or stderr. As text it is
+// passed through unchanged; as JSON every line becomes a record tagged with
+// the command and stream.
+export function logCommandOutput(stream, command, streamName) {
+  if (!isJsonLogging()) {
+    stream.pipe(streamName === "stdout" && !toStderr ? process.stdout : process.stderr);
+    return;
+  }
+  readline
+    .createInterface({ input: stream, crlfDelay: Infinity })
+    .on("line", (line) => logOutputLine(line, { source: command, stream: streamName }));
+}
@@ -0,0 +1,72 @@
+import cronParser from "cron-parser";
+
+// Maintenance windows (MAINTENANCE_WINDOWS): the times heavy work such as
+// full backups may run. Each window is a daily start time, on a cron
+// day-of-week field, and a duration; times are in the schedule's timezone.
+
+// Helper function to get the next start of a window at or after date
+function getNextStart(window, date) {
+  return cronParser
+    .parseExpression(window.startCron, { currentDate: date, tz: window.tz })
+    .next()
+    .toDate();
+}
+
+// Helper function to parse MAINTENANCE_WINDOWS: windows separated by
+// semicolons, each "[days] HH:MM-HH:MM" in the timezone tz. days is a cron
+// day-of-week field such as "Sat,Sun" or "Mon-Fri", every day if omitted. A
+// window that ends before it starts runs past midnight.
+export function parseMaintenanceWindows(text, tz) {
+  return text
+    .split(";")
+    .map((windowText) => windowText.trim())
+    .filter(Boolean)
+    .map((windowText) => {
+      const match = windowText.match(/^(?:(\S+)\s+)?(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+      const [, days = "*", startHour, startMinute, endHour, endMinute] = match || [];
+      const start = Number(startHour) * 60 + Number(startMinute);
+      const end = Number(endHour) * 60 + Number(endMinute);
+      if (!match || startHour > 23 || startMinute > 59 || endMinute > 59 || end > 24 * 60) {
+        throw new Error(`Invalid maintenance window "${windowText}", expected e.g. "Mon-Fri 22:00-06:00"`);
+      }
+
+      // Equal start and end times make a window of a whole day
+      const minutes = (end - start + 24 * 60) % (24 * 60) || 24 * 60;
+      const window = {
+        text: windowText,
+        startCron: `${Number(startMinute)} ${Number(startHour)} * * ${days}`,
+        duration: minutes * 60 * 1000,
+        tz,
+      };
+      try {
+        getNextStart(window, new Date());
+      } catch (error) {
+        throw new Error(`Invalid days "${days}" in maintenance window "${windowText}": ${error.message}`);
+      }
+      return window;
+    });
+}
+
+// Helper function to check whether heavy work may run at a given time:
+// always when no windows are set, otherwise only inside one of them
+export function isInMaintenanceWindow(windows, date = new Date()) {
+  return (
+    windows.length === 0 ||
+    windows.some((window) => {
+      // The latest start at or before date
+      const lastStart = cronParser
+        .parseExpression(window.startCron, {
+          currentDate: new Date(date.getTime() + 1000),
+          tz: window.tz,
+        })
+        .prev()
+        .toDate();
+      return date - lastStart < window.duration;
+    })
+  );
+}
+
+// Helper function to get when the next maintenance window opens
+export function getNextMaintenanceWindow(windows, date = new Date()) {
+  return new Date(Math.min(...windows.map((window) => getNextStart(window, date))));
+}
@@ -0,0 +1,105 @@
+import http from "http";
+import client from "prom-client";
+
+// Prometheus metrics for the backup daemon, served with /healthz on
+// METRICS_PORT. Everything lives in its own registry, so only backup metrics
+// are exposed, not the Node.js process defaults.
+
+export const registry = new client.Registry();
+if (process.env.INSTANCE_NAME) {
+  // Multi-instance mode: one scrape target per instance
+  registry.setDefaultLabels({ instance_name: process.env.INSTANCE_NAME });
+}
+
+export const lastSuccess = new client.Gauge({
+  name: "xtrabackup_last_success_timestamp_seconds",
+  help: "Time the last successful backup of each type finished",
+  labelNames: ["type"],
+  registers: [registry],
+});
+
+export const backupDuration = new client.Histogram({
+  name: "xtrabackup_backup_duration_seconds",
+  help: "Duration of successful backups",
+  labelNames: ["type"],
+  buckets: [60, 300, 900, 1800, 3600, 7200, 14400, 28800],
+  registers: [registry],
+});
+
+export const backupSize = new client.Histogram({
+  name: "xtrabackup_backup_size_bytes",
+  help: "Size of uploaded backup archives",
+  labelNames: ["type"],
+  // 1 MB to 1 TB
+  buckets: client.exponentialBuckets(1024 * 1024, 4, 11),
+  registers: [registry],
+});
+
+export const uploadBytes = new client.Counter({
+  name: "xtrabackup_upload_bytes_total",
+  help: "Bytes uploaded to each destination, backups and binlogs",
+  labelNames: ["destination"],
+  registers: [registry],
+});
+
+export const failures = new client.Counter({
+  name: "xtrabackup_failures_total",
+  help: "Failed backup runs and retention passes, by the stage that failed",
+  labelNames: ["stage"],
+  registers: [registry],
+});
+
+export const storageObjects = new client.Gauge({
+  name: "xtrabackup_storage_objects",
+  help: "Objects on each destination as of the last retention pass",
+  labelNames: ["destination"],
+  registers: [registry],
+});
+
+// Finish time of the newest restore point, as a Date; set by the scheduler
+let newestRestorePoint = null;
+
+export function setNewestRestorePoint(date) {
+  newestRestorePoint = date;
+}
+
+new client.Gauge({
+  name: "xtrabackup_newest_restore_point_age_seconds",
+  help: "Age of the newest backup that can be restored (the end of the newest complete chain)",
+  registers: [registry],
+  collect() {
+    if (newestRestorePoint) {
+      this.set((Date.now() - newestRestorePoint.getTime()) / 1000);
+    }
+  },
+});
+
+// Helper function to serve /metrics and /healthz. getHealth() returns
+// { healthy, ...details }; /healthz answers 503 when healthy is false.
+export function startMetricsServer({ port, host, getHealth, log, logError }) {
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    try {
+      if (pathname === "/metrics") {
+        res.writeHead(200, { "Content-Type": registry.contentType });
+        res.end(await registry.metrics());
+      } else if (pathname === "/healthz") {
+        const health = getHealth();
+        res.writeHead(health.healthy ? 200 : 503, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(health));
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    } catch (error) {
+      logError("Failed to serve metrics:", error);
+      res.writeHead(500);
+      res.end();
+    }
+  });
+
+  // A port that's taken shouldn't stop backups
+  server.on("error", (error) => logError(`Metrics server on port ${port} failed:`, error));
+  server.listen(port, host, () => log(`Serving metrics on http://${host}:${port}/metrics`));
+  return server;
+}
@@ -0,0 +1,38 @@
+// Grandfather-father-son retention. Each tier (hourly, daily, weekly,
+// monthly, yearly) keeps the newest backup of each of its most recent N
+// periods, in UTC; a backup kept by any tier is retained.
+
+// Helper function to get the ISO week (Monday-based) a date falls in
+function formatIsoWeek(date) {
+  const monday = new Date(date);
+  monday.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+}
+
+// Helper function to select the backups the GFS policy retains: for each
+// tier, the newest backup in each of the most recent N periods
+export function selectRetainedBackups(backups, retention) {
+  const tiers = [
+    [retention.hourly, (date) => date.toISOString().slice(0, 13)],
+    [retention.daily, (date) => date.toISOString().slice(0, 10)],
+    [retention.weekly, formatIsoWeek],
+    [retention.monthly, (date) => date.toISOString().slice(0, 7)],
+    [retention.yearly, (date) => date.toISOString().slice(0, 4)],
+  ];
+
+  const newestFirst = [...backups].sort((a, b) => b.date - a.date);
+  const retained = new Set();
+
+  for (const [count, getPeriod] of tiers) {
+    const periods = new Set();
+    for (const backup of newestFirst) {
+      const period = getPeriod(backup.date);
+      if (periods.has(period)) continue;
+      if (periods.size >= count) break;
+      periods.add(period);
+      retained.add(backup);
+    }
+  }
+
+  return retained;
+}
@@ -0,0 +1,74 @@
+// Error classification and retries for backup operations.
+//
+// Errors fall into a few classes that call for different handling:
+//   transient   network errors, timeouts, throttling and 5xx responses; worth retrying
+//   disk-full   the local disk or the target ran out of space; retrying won't help
+//   xtrabackup  xtrabackup itself failed, e.g. it can't read the data directory
+//   other       anything else (bad credentials, missing bucket, bugs)
+
+const TRANSIENT_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+]);
+
+const TRANSIENT_NAMES = new Set([
+  "TimeoutError",
+  "RequestTimeout",
+  "RequestTimeTooSkewed",
+  "SlowDown",
+  "InternalError",
+  "ServiceUnavailable",
+  "NetworkingError",
+]);
+
+const MAX_DELAY = 5 * 60 * 1000;
+
+// Helper function to classify an error (see above)
+export function classifyError(error) {
+  const text = `${error?.message || ""}\n${error?.stderr || ""}`;
+  if (error?.code === "ENOSPC" || /No space left on device|Errcode: 28|errno 28\b/i.test(text)) {
+    return "disk-full";
+  }
+  if (error?.command === "xtrabackup") {
+    return "xtrabackup";
+  }
+
+  const status = error?.$metadata?.httpStatusCode;
+  if (
+    TRANSIENT_CODES.has(error?.code) ||
+    TRANSIENT_NAMES.has(error?.name) ||
+    error?.$retryable ||
+    status === 429 ||
+    status >= 500 ||
+    /socket hang up|ECONNRESET|ETIMEDOUT/.test(text)
+  ) {
+    return "transient";
+  }
+
+  return "other";
+}
+
+// Helper function to run an operation, retrying transient failures with
+// exponential backoff and jitter. onRetry(error, attempt, delay) is called
+// before each wait.
+export async function withRetry(operation, { retries, onRetry }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt > retries || classifyError(error) !== "transient") {
+        throw error;
+      }
+      const delay = Math.round(Math.min(1000 * 2 ** attempt, MAX_DELAY) * (0.5 + Math.random() / 2));
+      onRetry?.(error, attempt, delay);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
@@ -0,0 +1,39 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// Secrets for the commands the scripts run (xtrabackup's encryption key,
+// MySQL credentials) are handed over in files rather than on the command
+// line, where any local user could read them from ps or /proc/<pid>/cmdline.
+
+// Helper function to run fn with the path of a file holding contents,
+// readable only by this user, in a private temporary directory. The file is
+// removed once fn settles.
+export async function withSecretFile(contents, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "xtrabackup-secret-"));
+  const file = path.join(dir, "secret");
+  try {
+    await fs.writeFile(file, contents, { mode: 0o600 });
+    return await fn(file);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Helper function to format MySQL credentials as an option file, for the
+// --defaults-file or --defaults-extra-file of the MySQL clients the scripts
+// run. Values are quoted with a quote character they do not contain, and
+// backslashes and line breaks are escaped, so they are read back verbatim,
+// "#" included.
+export function formatClientOptions({ user, password }) {
+  const quote = (name, value) => {
+    const text = String(value);
+    const mark = text.includes('"') ? "'" : '"';
+    if (text.includes(mark) && text.includes("#")) {
+      throw new Error(`MySQL ${name} cannot contain both quote characters and "#"`);
+    }
+    const escaped = text.replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/\r/g, "\\r");
+    return `${mark}${escaped}${mark}`;
+  };
+  return `[client]\nuser=${quote("user", user)}\npassword=${quote("password", password)}\n`;
+}
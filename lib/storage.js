@@ -0,0 +1,384 @@
+import { createReadStream, createWriteStream } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { PassThrough } from "stream";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+import SftpClient from "ssh2-sftp-client";
+
+// Storage backends for backups. A destination is given as a URL:
+//   s3://bucket/prefix?endpoint=s3.us-west-001.backblazeb2.com&checksum=sha256
+//   file:///mnt/nas/mysql-backups
+//   sftp://user@host:22/srv/mysql-backups?key=/run/secrets/id_ed25519
+//
+// Every backend implements the same interface, with keys relative to the
+// destination's prefix (e.g. "full_backup_20261019000000.tar.gz"):
+//   put(key, body)              upload a readable stream or buffer
+//   get(key, { start, end })    -> { body, etag }, optionally a byte range
+//   getJson(key)                -> parsed document, or null if missing
+//   putJson(key, data)
+//   list(prefix)                -> [{ key, size, lastModified, etag }], all pages
+//   delete(key)
+// `name` is the destination URL with credentials redacted, for logs.
+
+// Helper function to redact credentials from a destination URL
+export function redactUrl(url) {
+  return url.replace(/:\/\/[^@/]+@/, "://***@");
+}
+
+// Helper function to join a destination prefix and a relative key
+function joinKey(prefix, key) {
+  return prefix ? `${prefix}/${key}` : key;
+}
+
+// S3-compatible object storage. Credentials come from the URL's user info
+// (s3://KEY_ID:SECRET@bucket/...) or AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY.
+// With ?checksum=sha256 every uploaded part carries a SHA-256 checksum that
+// the server verifies on receipt and stores with the object; off by default
+// as not every S3-compatible service supports it.
+function createS3Storage(url, options) {
+  const bucket = url.hostname;
+  const prefix = decodeURIComponent(url.pathname).replace(/^\/+|\/+$/g, "");
+  const endpoint = url.searchParams.get("endpoint");
+  const checksum = url.searchParams.get("checksum");
+  if (checksum && checksum !== "sha256") {
+    throw new Error(`Unsupported checksum "${checksum}" (expected sha256)`);
+  }
+  const checksumAlgorithm = checksum ? "SHA256" : undefined;
+
+  const clientConfig = {
+    region: url.searchParams.get("region") || "us-east-1",
+    credentials: {
+      accessKeyId: decodeURIComponent(url.username) || process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: decodeURIComponent(url.password) || process.env.AWS_SECRET_ACCESS_KEY,
+    },
+  };
+  if (endpoint) {
+    clientConfig.endpoint = /^https?:\/\//.test(endpoint) ? endpoint : `https://${endpoint}`;
+  }
+  if (options.proxyAgent) {
+    clientConfig.requestHandler = { httpsAgent: options.proxyAgent };
+  }
+  const client = new S3Client(clientConfig);
+
+  return {
+    async put(key, body) {
+      const upload = new Upload({
+        client,
+        params: {
+          Bucket: bucket,
+          Key: joinKey(prefix, key),
+          Body: body,
+          ChecksumAlgorithm: checksumAlgorithm,
+        },
+        partSize: options.uploadPartSize,
+        queueSize: options.uploadConcurrency,
+      });
+      await upload.done();
+    },
+
+    async get(key, { start, end } = {}) {
+      const response = await client.send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: joinKey(prefix, key),
+          Range: start !== undefined ? `bytes=${start}-${end}` : undefined,
+        }),
+      );
+      return { body: response.Body, etag: response.ETag };
+    },
+
+    async getJson(key) {
+      try {
+        const { body } = await this.get(key);
+        return JSON.parse(await body.transformToString());
+      } catch (error) {
+        if (error.name === "NoSuchKey") return null;
+        throw error;
+      }
+    },
+
+    async putJson(key, data) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: joinKey(prefix, key),
+          Body: JSON.stringify(data, null, 2),
+          ContentType: "application/json",
+          ChecksumAlgorithm: checksumAlgorithm,
+        }),
+      );
+    },
+
+    async list(listPrefix = "") {
+      const objects = [];
+      const base = prefix ? `${prefix}/` : "";
+      let continuationToken;
+      do {
+        const response = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: base + listPrefix,
+            ContinuationToken: continuationToken,
+          }),
+        );
+        for (const object of response.Contents || []) {
+          objects.push({
+            key: object.Key.slice(base.length),
+            size: object.Size,
+            lastModified: object.LastModified,
+            etag: object.ETag,
+          });
+        }
+        continuationToken = response.NextContinuationToken;
+      } while (continuationToken);
+      return objects;
+    },
+
+    async delete(key) {
+      await client.send(
+        new DeleteObjectCommand({ Bucket: bucket, Key: joinKey(prefix, key) }),
+      );
+    },
+  };
+}
+
+// Local filesystem, including NFS or SMB mounts. Files are written under a
+// .part name and renamed when complete, so a crash never leaves a
+// truncated archive under its final name.
+function createFileStorage(url) {
+  const root = decodeURIComponent(url.pathname);
+  const getPath = (key) => path.join(root, key);
+  const getEtag = (stat) => `${stat.size}-${Math.round(stat.mtimeMs)}`;
+
+  return {
+    async put(key, body) {
+      const file = getPath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      try {
+        await pipeline(body, createWriteStream(`${file}.part`));
+        await fs.rename(`${file}.part`, file);
+      } catch (error) {
+        await fs.rm(`${file}.part`, { force: true });
+        throw error;
+      }
+    },
+
+    async get(key, { start, end } = {}) {
+      const file = getPath(key);
+      const stat = await fs.stat(file);
+      return { body: createReadStream(file, { start, end }), etag: getEtag(stat) };
+    },
+
+    async getJson(key) {
+      try {
+        return JSON.parse(await fs.readFile(getPath(key), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async putJson(key, data) {
+      const file = getPath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.part`, JSON.stringify(data, null, 2));
+      await fs.rename(`${file}.part`, file);
+    },
+
+    async list(listPrefix = "") {
+      const objects = [];
+      const walk = async (dir) => {
+        let entries;
+        try {
+          entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === "ENOENT") return;
+          throw error;
+        }
+        for (const entry of entries) {
+          const fullPath = path.join(dir, entry.name);
+          const key = path.relative(root, fullPath).split(path.sep).join("/");
+          if (entry.isDirectory()) {
+            await walk(fullPath);
+          } else if (key.startsWith(listPrefix) && !key.endsWith(".part")) {
+            const stat = await fs.stat(fullPath);
+            objects.push({ key, size: stat.size, lastModified: stat.mtime, etag: getEtag(stat) });
+          }
+        }
+      };
+      await walk(root);
+      return objects;
+    },
+
+    async delete(key) {
+      await fs.rm(getPath(key), { force: true });
+      // Remove the directory if that emptied it, e.g. of a logical backup
+      if (path.dirname(key) !== ".") {
+        await fs.rmdir(path.dirname(getPath(key))).catch(() => {});
+      }
+    },
+  };
+}
+
+// SFTP server. Authenticates with the password in the URL, or the private
+// key file given as ?key=. Each operation uses its own connection, which is
+// plenty for the handful of operations a backup run makes.
+function createSftpStorage(url) {
+  const root = decodeURIComponent(url.pathname).replace(/\/+$/, "") || ".";
+  const getPath = (key) => path.posix.join(root, key);
+  const getEtag = (stat) => `${stat.size}-${stat.modifyTime}`;
+
+  const connect = async () => {
+    const client = new SftpClient();
+    const keyFile = url.searchParams.get("key");
+    await client.connect({
+      host: url.hostname,
+      port: parseInt(url.port || "22", 10),
+      username: decodeURIComponent(url.username),
+      password: url.password ? decodeURIComponent(url.password) : undefined,
+      privateKey: keyFile ? await fs.readFile(keyFile) : undefined,
+    });
+    return client;
+  };
+
+  const withClient = async (fn) => {
+    const client = await connect();
+    try {
+      return await fn(client);
+    } finally {
+      await client.end();
+    }
+  };
+
+  return {
+    async put(key, body) {
+      const file = getPath(key);
+      await withClient(async (client) => {
+        await client.mkdir(path.posix.dirname(file), true);
+        try {
+          await client.put(body, `${file}.part`);
+          await client.posixRename(`${file}.part`, file);
+        } catch (error) {
+          await client.delete(`${file}.part`, true).catch(() => {});
+          throw error;
+        }
+      });
+    },
+
+    async get(key, { start, end } = {}) {
+      const client = await connect();
+      try {
+        const stat = await client.stat(getPath(key));
+        const body = client.createReadStream(getPath(key), { start, end });
+        body.once("close", () => client.end());
+        return { body, etag: getEtag(stat) };
+      } catch (error) {
+        await client.end();
+        throw error;
+      }
+    },
+
+    async getJson(key) {
+      return withClient(async (client) => {
+        if (!(await client.exists(getPath(key)))) return null;
+        return JSON.parse((await client.get(getPath(key))).toString());
+      });
+    },
+
+    async putJson(key, data) {
+      const file = getPath(key);
+      await withClient(async (client) => {
+        await client.mkdir(path.posix.dirname(file), true);
+        await client.put(Buffer.from(JSON.stringify(data, null, 2)), `${file}.part`);
+        await client.posixRename(`${file}.part`, file);
+      });
+    },
+
+    async list(listPrefix = "") {
+      return withClient(async (client) => {
+        const objects = [];
+        const walk = async (dir) => {
+          if (!(await client.exists(dir))) return;
+          for (const entry of await client.list(dir)) {
+            const fullPath = path.posix.join(dir, entry.name);
+            const key = path.posix.relative(root, fullPath);
+            if (entry.type === "d") {
+              await walk(fullPath);
+            } else if (key.startsWith(listPrefix) && !key.endsWith(".part")) {
+              objects.push({
+                key,
+                size: entry.size,
+                lastModified: new Date(entry.modifyTime),
+                etag: getEtag(entry),
+              });
+            }
+          }
+        };
+        await walk(root);
+        return objects;
+      });
+    },
+
+    async delete(key) {
+      await withClient(async (client) => {
+        await client.delete(getPath(key), true);
+        // Remove the directory if that emptied it, e.g. of a logical backup
+        if (path.posix.dirname(key) !== ".") {
+          await client.rmdir(path.posix.dirname(getPath(key))).catch(() => {});
+        }
+      });
+    },
+  };
+}
+
+// Helper function to create the storage backend for a destination URL.
+// options: proxyAgent (S3 only), uploadPartSize, uploadConcurrency
+export function createStorage(destination, options = {}) {
+  const url = new URL(destination);
+  const backends = {
+    "s3:": createS3Storage,
+    "file:": createFileStorage,
+    "sftp:": createSftpStorage,
+  };
+  const create = backends[url.protocol];
+  if (!create) {
+    throw new Error(`Unsupported destination ${redactUrl(destination)} (expected s3://, file:// or sftp://)`);
+  }
+  return { name: redactUrl(destination), ...create(url, options) };
+}
+
+// Helper function to upload one stream to several storages at once. The
+// stream is read once and piped to a copy per storage, so the slowest one
+// sets the pace; a storage that fails stops being fed so it doesn't hold back
+// the others. Returns the Promise.allSettled results of the puts, in order.
+export async function putToAll(source, key, storages) {
+  const results = await Promise.allSettled(
+    storages.map((storage) => {
+      const copy = new PassThrough();
+      copy.on("error", () => {
+        // Reported through the rejected put() below
+      });
+      source.pipe(copy);
+      source.once("error", (error) => copy.destroy(error));
+      return storage.put(key, copy).catch((error) => {
+        source.unpipe(copy);
+        copy.resume();
+        throw error;
+      });
+    }),
+  );
+
+  if (results.every((result) => result.status === "rejected")) {
+    // Nothing is reading the stream anymore
+    source.destroy();
+  }
+  return results;
+}
@@ -0,0 +1,262 @@
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import readline from "readline";
+import YAML from "yaml";
+import { isJsonLogging, logOutputLine } from "./logger.js";
+
+// Multi-instance mode. With INSTANCES_FILE set, index.js runs this supervisor
+// instead of a scheduler: every instance in the file gets its own scheduler
+// process (index.js again, configured through environment variables), so a
+// broken instance can crash and be restarted without touching the others.
+// Backups across all instances are limited to `concurrency` at a time; the
+// children ask for a slot over the IPC channel before each backup.
+//
+// The file is YAML or JSON:
+//   concurrency: 2
+//   env:                       # environment shared by all instances
+//     BACKUP_DESTINATIONS: s3://bucket?endpoint=s3.us-west-001.backblazeb2.com
+//   instances:
+//     - name: orders
+//       host: db1:3306
+//       user: backup
+//       passwordFile: /run/secrets/orders
+//       datadir: /mnt/orders
+//       prefix: orders/
+//       fullBackupCron: "0 2 * * *"
+//       retention: { daily: 7, weekly: 4 }
+//       metricsPort: 9101
+//       env: { STREAM_BACKUP: "true" }
+
+const RESTART_DELAY = 60 * 1000;
+const MAX_RESTART_DELAY = 30 * 60 * 1000;
+
+// Helper function to read and validate the instances file
+async function loadInstances(file) {
+  const parsed = YAML.parse(await fs.readFile(file, "utf8"));
+  const instances = parsed?.instances;
+  if (!Array.isArray(instances) || instances.length === 0) {
+    throw new Error(`${file} must list at least one instance under "instances"`);
+  }
+
+  const names = new Set();
+  for (const instance of instances) {
+    if (!/^[A-Za-z0-9_-]+$/.test(instance.name || "")) {
+      throw new Error(`Instance name "${instance.name}" must be letters, digits, "-" or "_"`);
+    }
+    if (names.has(instance.name)) {
+      throw new Error(`Duplicate instance name "${instance.name}"`);
+    }
+    names.add(instance.name);
+    if (!instance.host || !instance.user || !(instance.password || instance.passwordFile)) {
+      throw new Error(`Instance "${instance.name}" needs host, user and password or passwordFile`);
+    }
+  }
+
+  return {
+    concurrency: parseInt(parsed.concurrency || "1", 10),
+    env: parsed.env || {},
+    instances,
+  };
+}
+
+// Helper function to append an instance prefix to every destination URL
+function prefixDestinations(destinations, prefix) {
+  return destinations
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map((destination) => {
+      const url = new URL(destination);
+      url.pathname = path.posix.join(url.pathname, prefix);
+      return url.toString();
+    })
+    .join(" ");
+}
+
+// Helper function to build the environment of an instance's scheduler process
+async function getInstanceEnv(instance, shared) {
+  const env = { ...process.env, ...shared };
+  const set = (name, value) => {
+    if (value !== undefined && value !== null) env[name] = String(value);
+  };
+
+  set("INSTANCE_NAME", instance.name);
+  set("DB_HOST", instance.host);
+  set("DB_USER", instance.user);
+  set(
+    "DB_PASSWORD",
+    instance.passwordFile
+      ? (await fs.readFile(instance.passwordFile, "utf8")).trim()
+      : instance.password,
+  );
+  set("MYSQL_DATADIR", instance.datadir);
+  set("BINLOG_DIR", instance.binlogDir || instance.datadir);
+  set("FULL_BACKUP_CRON", instance.fullBackupCron);
+  set("INCREMENTAL_BACKUP_CRON", instance.incrementalBackupCron);
+  set("BACKUP_TIMEZONE", instance.timezone);
+  set("HEALTH_CHECK_URL", instance.healthCheckUrl);
+  // Instances can't share a metrics port
+  delete env.METRICS_PORT;
+  set("METRICS_PORT", instance.metricsPort);
+  for (const [tier, count] of Object.entries(instance.retention || {})) {
+    set(`RETENTION_${tier.toUpperCase()}`, count);
+  }
+  if (instance.destinations) {
+    set("BACKUP_DESTINATIONS", [].concat(instance.destinations).join(" "));
+  }
+
+  if (instance.prefix) {
+    set("BACKUP_DIR", path.posix.join(env.BACKUP_DIR || "", instance.prefix));
+    // Shared destinations get the prefix too; an instance's own are used as given
+    if (env.BACKUP_DESTINATIONS && !instance.destinations) {
+      set("BACKUP_DESTINATIONS", prefixDestinations(env.BACKUP_DESTINATIONS, instance.prefix));
+    }
+  }
+
+  // Each instance needs its own incremental base
+  set("STATE_DIR", path.join(env.STATE_DIR || path.join(os.tmpdir(), "xtrabackup-scheduler"), instance.name));
+
+  Object.assign(env, instance.env || {});
+  return env;
+}
+
+// Helper function to forward a child's output line by line, tagged with the
+// instance name. JSON records already carry it.
+function forwardOutput(stream, name, write, level) {
+  readline.createInterface({ input: stream }).on("line", (line) => {
+    if (isJsonLogging()) {
+      logOutputLine(line, { instance: name }, level);
+    } else {
+      write(`[${name}] ${line}`);
+    }
+  });
+}
+
+// Function to run one scheduler process per instance and keep them running.
+// args are passed to each child, e.g. ["retention"] to run retention for
+// every instance once instead.
+export async function runSupervisor({ instancesFile, script, args = [], log, logError }) {
+  const { concurrency, env: shared, instances } = await loadInstances(instancesFile);
+  const once = args.length > 0;
+
+  // Backup slots: children send "acquire-slot" and wait for "slot-granted"
+  let running = 0;
+  const waiting = [];
+  const grantSlots = () => {
+    while (running < concurrency && waiting.length > 0) {
+      const child = waiting.shift();
+      if (!child.connected) continue;
+      running++;
+      child.holdsSlot = true;
+      child.send({ type: "slot-granted" });
+    }
+  };
+  const releaseSlot = (child) => {
+    if (child.holdsSlot) {
+      child.holdsSlot = false;
+      running--;
+      grantSlots();
+    }
+  };
+
+  // Pass stop signals (e.g. docker stop) on to the children
+  const children = new Set();
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, () => {
+      children.forEach((child) => child.kill(signal));
+      process.exit(0);
+    });
+  }
+
+  const runInstance = async (instance) => {
+    let restartDelay = RESTART_DELAY;
+
+    while (true) {
+      const startedAt = Date.now();
+      const child = spawn(process.execPath, [script, ...args], {
+        env: await getInstanceEnv(instance, shared),
+        stdio: ["ignore", "pipe", "pipe", ...(once ? [] : ["ipc"])],
+      });
+      children.add(child);
+      forwardOutput(child.stdout, instance.name, console.log, "info");
+      forwardOutput(child.stderr, instance.name, console.error, "error");
+
+      child.on("message", (message) => {
+        if (message?.type === "acquire-slot") {
+          waiting.push(child);
+          grantSlots();
+        } else if (message?.type === "release-slot") {
+          releaseSlot(child);
+        }
+      });
+
+      const code = await new Promise((resolve) => {
+        child.on("error", (error) => {
+          logError(`Failed to start scheduler for ${instance.name}:`, error);
+          resolve(1);
+        });
+        child.on("exit", (exitCode) => resolve(exitCode));
+      });
+      children.delete(child);
+      releaseSlot(child);
+
+      if (once) {
+        if (code !== 0) {
+          throw new Error(`Instance ${instance.name} exited with code ${code}`);
+        }
+        return;
+      }
+
+      // Back off while an instance keeps failing right after starting
+      if (Date.now() - startedAt > MAX_RESTART_DELAY) {
+        restartDelay = RESTART_DELAY;
+      }
+      logError(`Scheduler for ${instance.name} exited with code ${code}; restarting in ${restartDelay / 1000}s`);
+      await new Promise((resolve) => setTimeout(resolve, restartDelay));
+      restartDelay = Math.min(restartDelay * 2, MAX_RESTART_DELAY);
+    }
+  };
+
+  log(`Supervising ${instances.length} instance(s), ${concurrency} backup(s) at a time`);
+
+  if (once) {
+    // One-off commands run instance by instance; a failure doesn't stop the rest
+    let failed = 0;
+    for (const instance of instances) {
+      try {
+        await runInstance(instance);
+      } catch (error) {
+        logError(error.message);
+        failed++;
+      }
+    }
+    if (failed > 0) {
+      throw new Error(`${failed} of ${instances.length} instance(s) failed`);
+    }
+    return;
+  }
+
+  await Promise.all(instances.map(runInstance));
+}
+
+// Helper function for a scheduler process to wait for a backup slot. Outside
+// multi-instance mode there is no supervisor and no limit.
+export function acquireBackupSlot() {
+  if (!process.send) return Promise.resolve();
+  return new Promise((resolve) => {
+    const onMessage = (message) => {
+      if (message?.type === "slot-granted") {
+        process.off("message", onMessage);
+        resolve();
+      }
+    };
+    process.on("message", onMessage);
+    process.send({ type: "acquire-slot" });
+  });
+}
+
+// Helper function for a scheduler process to give its backup slot back
+export function releaseBackupSlot() {
+  if (process.send) process.send({ type: "release-slot" });
+}
@@ -0,0 +1,18 @@
+import { Transform } from "stream";
+
+// Helper function to create a stream that passes data through at no more
+// than bytesPerSecond. Each chunk is sent on right away, and the next one is
+// held back until the time the chunk takes at that rate has passed, so idle
+// periods (e.g. xtrabackup reading a large table) don't build up a burst.
+export function createThrottleStream(bytesPerSecond) {
+  let nextSendAt = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const now = Date.now();
+      nextSendAt = Math.max(nextSendAt, now) + (chunk.length / bytesPerSecond) * 1000;
+      this.push(chunk);
+      setTimeout(callback, nextSendAt - now);
+    },
+  });
+}
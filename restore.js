@@ -1,16 +1,47 @@
 import { spawn } from "child_process";
+import crypto from "crypto";
+import { createReadStream, createWriteStream } from "fs";
 import fs from "fs/promises";
 import path from "path";
 import os from "os";
+import net from "net";
 import readline from "readline";
-import {
-  S3Client,
-  ListObjectsV2Command,
-  GetObjectCommand,
-} from "@aws-sdk/client-s3";
+import { parseArgs } from "util";
+import zlib from "zlib";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import axios from "axios";
 import dotenv from "dotenv";
+import mysql from "mysql2/promise";
 import { HttpsProxyAgent } from "https-proxy-agent";
 import { SocksProxyAgent } from "socks-proxy-agent";
+import {
+  ENCRYPTED_EXTENSION,
+  createDecryptStream,
+  getKeyId,
+} from "./lib/encryption.js";
+import { createStorage } from "./lib/storage.js";
+import {
+  BINLOG_PREFIX,
+  LOGICAL_MANIFEST,
+  LOGICAL_PREFIX,
+  SYSTEM_SCHEMAS,
+  findChainByLsn,
+  formatBytes,
+  formatDuration,
+  getBinlogSequence,
+  groupIntoChains,
+  parseBackupDate,
+} from "./lib/backups.js";
+import { formatClientOptions, withSecretFile } from "./lib/secrets.js";
+import { createDecompressStream } from "./lib/compression.js";
+import {
+  log,
+  logCommandOutput,
+  logError,
+  runWithLogContext,
+  setLogToStderr,
+} from "./lib/logger.js";
 
 // Load environment variables from .env file
 dotenv.config();
@@ -33,52 +64,38 @@ const config = {
   s3Bucket: process.env.S3_BUCKET,
   s3Endpoint: process.env.S3_ENDPOINT,
   s3BackupDir: process.env.BACKUP_DIR || "",
+  // Where to restore from: --from, RESTORE_SOURCE, the first of
+  // BACKUP_DESTINATIONS, or the S3_* settings
+  restoreSource: process.env.RESTORE_SOURCE,
+  backupDestinations: process.env.BACKUP_DESTINATIONS,
   proxy: process.env.PROXY,
-  restoreRoot: path.join(process.cwd(), "mysql-restore-" + new Date().toISOString().slice(0, 19).replace(/[:-]/g, "")),
+  restoreRoot: process.env.RESTORE_DIR || path.join(process.cwd(), "mysql-restore-" + new Date().toISOString().slice(0, 19).replace(/[:-]/g, "")),
+  targetDir: null, // set by --target-dir, defaults to <restoreRoot>/base
+  streamRestore: process.env.STREAM_RESTORE === "true",
+  encryptionKey: process.env.ENCRYPTION_KEY,
+  encryptionKeyFile: process.env.ENCRYPTION_KEY_FILE,
+  mysqlDatadir: process.env.MYSQL_DATADIR || "/var/lib/mysql",
+  mysqlOwner: process.env.MYSQL_OWNER || "mysql:mysql",
+  mysqlPidFile: process.env.MYSQL_PID_FILE,
+  mysqlStopCommand: process.env.MYSQL_STOP_COMMAND,
+  mysqlStartCommand: process.env.MYSQL_START_COMMAND,
+  verifyDir: process.env.VERIFY_DIR || path.join(os.tmpdir(), "mysql-verify-" + process.pid),
+  verifyMysqld: process.env.VERIFY_MYSQLD || "mysqld",
+  verifyPort: process.env.VERIFY_PORT ? parseInt(process.env.VERIFY_PORT, 10) : null,
+  verifySqlFile: process.env.VERIFY_SQL_FILE,
+  verifyStartupTimeout: parseInt(process.env.VERIFY_STARTUP_TIMEOUT_SECONDS || "600", 10) * 1000,
+  verifyKeep: process.env.VERIFY_KEEP === "true",
+  verifyHealthCheckUrl: process.env.VERIFY_HEALTH_CHECK_URL,
+  // Keys used before a rotation, so older backups stay restorable
+  encryptionOldKeyFiles: (process.env.ENCRYPTION_OLD_KEY_FILES || "")
+    .split(",")
+    .map((file) => file.trim())
+    .filter(Boolean),
+  downloadChunkSize: parseInt(process.env.DOWNLOAD_CHUNK_SIZE_MB || "64", 10) * 1024 * 1024,
+  downloadRetries: parseInt(process.env.DOWNLOAD_RETRIES || "5", 10),
+  progressInterval: 10 * 1000, // 10 seconds
 };
 
-// Validate environment variables
-const requiredEnvVars = [
-  "S3_BUCKET",
-  "S3_ENDPOINT",
-  "AWS_ACCESS_KEY_ID",
-  "AWS_SECRET_ACCESS_KEY",
-];
-
-for (const envVar of requiredEnvVars) {
-  if (!process.env[envVar]) {
-    console.error(`Error: Required environment variable ${envVar} is not set`);
-    process.exit(1);
-  }
-}
-
-// Custom logging functions to prepend timestamp
-function log(...args) {
-  const timestamp = new Date().toISOString();
-  console.log(timestamp, ...args);
-}
-
-// Helper function to sanitize error messages
-function sanitizeError(error) {
-  if (error && error.message) {
-    // Replace password in error messages
-    return error.message.replace(/--password=[^\s]+/g, '--password=***');
-  }
-  return error;
-}
-
-function logError(...args) {
-  const timestamp = new Date().toISOString();
-  // Sanitize any Error objects in the arguments
-  const sanitizedArgs = args.map(arg => {
-    if (arg instanceof Error) {
-      return sanitizeError(arg);
-    }
-    return arg;
-  });
-  console.error(timestamp, ...sanitizedArgs);
-}
-
 // Helper function to get proxy agent based on proxy URL
 function getProxyAgent(proxyUrl) {
   if (!proxyUrl) return undefined;
@@ -93,96 +110,127 @@ function getProxyAgent(proxyUrl) {
   return new HttpsProxyAgent(proxyUrl);
 }
 
-// Initialize S3 client for Backblaze B2
-const s3ClientConfig = {
-  endpoint: `https://${config.s3Endpoint}`,
-  region: "us-east-1",
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-};
+// Storage backend backups are restored from, opened in main()
+let storage = null;
 
-// Add proxy configuration if provided
-if (config.proxy) {
-  const agent = getProxyAgent(config.proxy);
-  s3ClientConfig.requestHandler = {
-    httpsAgent: agent,
-  };
-  // Redact proxy credentials in log
-  const safeProxy = config.proxy.replace(/:\/\/[^@]+@/, '://***@');
-  log(`Using proxy: ${safeProxy}`);
+// Helper function to open the storage to restore from
+function openStorage(options) {
+  let source = options.from || config.restoreSource;
+  if (!source && config.backupDestinations) {
+    source = config.backupDestinations.split(/[\s,]+/).filter(Boolean)[0];
+  }
+
+  if (!source) {
+    // Validate environment variables
+    const requiredEnvVars = [
+      "S3_BUCKET",
+      "S3_ENDPOINT",
+      "AWS_ACCESS_KEY_ID",
+      "AWS_SECRET_ACCESS_KEY",
+    ];
+    for (const envVar of requiredEnvVars) {
+      if (!process.env[envVar]) {
+        throw usageError(`Required environment variable ${envVar} is not set (or use --from <url>)`);
+      }
+    }
+    source = `s3://${config.s3Bucket}/${config.s3BackupDir}?endpoint=${encodeURIComponent(config.s3Endpoint)}`;
+  }
+
+  // Retention and required flags only matter to the scheduler
+  const url = new URL(source);
+  for (const param of [...url.searchParams.keys()]) {
+    if (param === "required" || param.startsWith("retention_")) {
+      url.searchParams.delete(param);
+    }
+  }
+
+  // Add proxy configuration if provided
+  if (config.proxy) {
+    // Redact proxy credentials in log
+    const safeProxy = config.proxy.replace(/:\/\/[^@]+@/, '://***@');
+    log(`Using proxy: ${safeProxy}`);
+  }
+
+  return createStorage(url.toString(), { proxyAgent: getProxyAgent(config.proxy) });
 }
 
-const s3Client = new S3Client(s3ClientConfig);
+// Archive formats produced by the scheduler: a tar of the backup directory,
+// or an xbstream when STREAM_BACKUP is enabled; compressed with gzip (.gz),
+// zstd (.zst) or not at all when xtrabackup compressed the files itself, and
+// optionally encrypted with ENCRYPTION=aes-256-gcm
+const ARCHIVE_EXTENSIONS = ["tar", "xbstream"]
+  .flatMap((format) => [".gz", ".zst", ""].map((codec) => `.${format}${codec}`))
+  .flatMap((extension) => [extension, extension + ENCRYPTED_EXTENSION]);
 
-// Helper function to format bytes to human readable
-function formatBytes(bytes) {
-  const sizes = ["B", "KB", "MB", "GB", "TB"];
-  if (bytes === 0) return "0 B";
-  const i = parseInt(Math.floor(Math.log(bytes) / Math.log(1024)));
-  return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + " " + sizes[i];
+// Helper function to get the archive extension of a backup file
+function getArchiveExtension(filename) {
+  return ARCHIVE_EXTENSIONS.find((ext) => filename.endsWith(ext));
 }
 
-// Helper function to list backups from S3
-async function listBackups() {
-  const prefix = config.s3BackupDir
-    ? config.s3BackupDir.replace(/^\/+|\/+$/g, "") + "/"
-    : "";
-
-  const command = new ListObjectsV2Command({
-    Bucket: config.s3Bucket,
-    Prefix: prefix,
-    MaxKeys: 1000,
-  });
+// Helper function to load backup manifests, keyed by backup id. The bucket
+// catalog is the primary source; a manifest missing from the catalog is read
+// from its own file next to the archive.
+async function loadManifests(keys, names) {
+  const manifests = new Map();
+
+  const catalog = await storage.getJson("catalog.json");
+  for (const manifest of catalog?.backups || []) {
+    manifests.set(manifest.id, manifest);
+  }
+
+  for (const name of names) {
+    const manifestKey = `${name}.manifest.json`;
+    if (!manifests.has(name) && keys.has(manifestKey)) {
+      manifests.set(name, await storage.getJson(manifestKey));
+    }
+  }
+
+  return manifests;
+}
 
+// Helper function to list backups in storage
+async function listBackups() {
   try {
-    const response = await s3Client.send(command);
-    if (!response.Contents || response.Contents.length === 0) {
-      log("No backups found in S3");
+    const objects = await storage.list();
+    if (objects.length === 0) {
+      log(`No backups found in ${storage.name}`);
       return [];
     }
 
+    // Binlogs live in a subdirectory and are never archives
+    const archives = objects.filter((obj) => !obj.key.includes("/") && getArchiveExtension(obj.key));
+    const getName = (key) => path.basename(key).slice(0, -getArchiveExtension(key).length);
+    const manifests = await loadManifests(
+      new Set(objects.map((obj) => obj.key)),
+      archives.map((obj) => getName(obj.key)),
+    );
+
     // Filter and sort backups
-    const backups = response.Contents
-      .filter((obj) => obj.Key.endsWith(".tar.gz"))
+    const backups = archives
       .map((obj) => {
-        const filename = path.basename(obj.Key);
-        const isIncremental = filename.startsWith("inc_backup_");
-        let date;
-        
-        if (isIncremental) {
-          // inc_backup_YYYYMMDDHHmmss.tar.gz
-          const dateStr = filename.replace("inc_backup_", "").replace(".tar.gz", "");
-          date = new Date(
-            dateStr.substr(0, 4) + "-" +
-            dateStr.substr(4, 2) + "-" +
-            dateStr.substr(6, 2) + "T" +
-            dateStr.substr(8, 2) + ":" +
-            dateStr.substr(10, 2) + ":" +
-            dateStr.substr(12, 2)
-          );
-        } else {
-          // full_backup_YYYYMMDD.tar.gz
-          const dateStr = filename.replace("full_backup_", "").replace(".tar.gz", "");
-          date = new Date(
-            dateStr.substr(0, 4) + "-" +
-            dateStr.substr(4, 2) + "-" +
-            dateStr.substr(6, 2)
-          );
-        }
+        const filename = path.basename(obj.key);
+        const name = getName(obj.key);
+        const manifest = manifests.get(name) || null;
+        const isIncremental = manifest
+          ? manifest.type === "incremental"
+          : name.startsWith("inc_backup_");
+        // inc_backup_YYYYMMDDHHmmss, full_backup_YYYYMMDDHHmmss
+        // (or full_backup_YYYYMMDD for backups from older versions)
+        const date = parseBackupDate(name.replace(/^(inc|full)_backup_/, ""));
 
         return {
-          key: obj.Key,
+          key: obj.key,
+          name: name,
           filename: filename,
-          size: obj.Size,
+          size: obj.size,
           date: date,
           isIncremental: isIncremental,
-          lastModified: obj.LastModified,
+          lastModified: obj.lastModified,
+          etag: obj.etag,
+          manifest: manifest,
         };
       })
-      .sort((a, b) => b.date - a.date)
-      .slice(0, 20); // Get only the 20 most recent
+      .sort((a, b) => b.date - a.date);
 
     return backups;
   } catch (error) {
@@ -191,30 +239,127 @@ async function listBackups() {
   }
 }
 
-// Helper function to download file from S3
-async function downloadFromS3(key, localPath) {
-  log(`Downloading ${key} from S3...`);
-  
-  const command = new GetObjectCommand({
-    Bucket: config.s3Bucket,
-    Key: key,
-  });
+// Helper function to report download progress (bytes, rate, ETA) periodically
+function createProgressReporter(label, total, startOffset = 0) {
+  const startTime = Date.now();
+  let lastReport = startTime;
+
+  const report = (loaded) => {
+    const elapsed = (Date.now() - startTime) / 1000;
+    const rate = elapsed > 0 ? (loaded - startOffset) / elapsed : 0;
+    const eta = rate > 0 ? (total - loaded) / rate : Infinity;
+    const percent = total > 0 ? ((loaded / total) * 100).toFixed(1) : "100.0";
+    log(
+      `${label}: ${formatBytes(loaded)} / ${formatBytes(total)} (${percent}%) ` +
+      `at ${formatBytes(rate)}/s, ETA ${formatDuration(eta)}`,
+    );
+  };
+
+  return {
+    update(loaded) {
+      if (Date.now() - lastReport >= config.progressInterval) {
+        lastReport = Date.now();
+        report(loaded);
+      }
+    },
+    done(loaded) {
+      report(loaded);
+    },
+  };
+}
+
+// Helper function to read a stored object as a sequence of ranged reads.
+// A failed range is retried with backoff from the last byte received, so a
+// network blip only costs the bytes in flight rather than the whole object.
+async function* readObjectRanges(key, size, etag, offset = 0) {
+  let attempts = 0;
+
+  while (offset < size) {
+    const end = Math.min(offset + config.downloadChunkSize, size) - 1;
+    try {
+      const response = await storage.get(key, { start: offset, end });
+
+      if (etag && response.etag && response.etag !== etag) {
+        response.body.destroy?.();
+        const error = new Error(`${key} changed during download (ETag ${response.etag}, expected ${etag})`);
+        error.retryable = false;
+        throw error;
+      }
+
+      for await (const chunk of response.body) {
+        offset += chunk.length;
+        yield chunk;
+      }
+      attempts = 0;
+    } catch (error) {
+      if (error.retryable === false || ++attempts > config.downloadRetries) {
+        throw error;
+      }
+      const delay = Math.min(1000 * 2 ** attempts, 30000);
+      logError(
+        `Download of ${key} interrupted at byte ${offset}, retrying in ${delay / 1000}s (${attempts}/${config.downloadRetries}):`,
+        error,
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Helper function to stream a stored object with progress reporting
+async function* streamFromStorage(key, size, etag, offset = 0) {
+  const progress = createProgressReporter(`Downloading ${path.basename(key)}`, size, offset);
+  let loaded = offset;
+  for await (const chunk of readObjectRanges(key, size, etag, offset)) {
+    loaded += chunk.length;
+    progress.update(loaded);
+    yield chunk;
+  }
+  progress.done(loaded);
+}
+
+// Helper function to download a file from storage.
+// Data goes to <localPath>.part and is renamed once complete; a .part file
+// left by an interrupted run (same RESTORE_DIR) is resumed if the object's
+// ETag still matches.
+async function downloadFromStorage(key, localPath, size, etag) {
+  log(`Downloading ${key} from ${storage.name}...`);
+
+  const partPath = `${localPath}.part`;
+  const etagPath = `${partPath}.etag`;
 
   try {
-    const response = await s3Client.send(command);
-    const stream = response.Body;
-    
-    // Convert stream to buffer
-    const chunks = [];
-    for await (const chunk of stream) {
-      chunks.push(chunk);
+    let offset = 0;
+    try {
+      const partialEtag = await fs.readFile(etagPath, "utf8");
+      if (partialEtag === etag) {
+        offset = (await fs.stat(partPath)).size;
+      }
+    } catch {
+      // No partial download to resume
     }
-    const buffer = Buffer.concat(chunks);
-    
-    await fs.writeFile(localPath, buffer);
+
+    if (offset > 0 && offset <= size) {
+      log(`Resuming download of ${key} from byte ${offset} (${formatBytes(offset)})`);
+    } else {
+      offset = 0;
+      await fs.rm(partPath, { force: true });
+      await fs.writeFile(etagPath, etag || "");
+    }
+
+    const handle = await fs.open(partPath, "a");
+    try {
+      for await (const chunk of streamFromStorage(key, size, etag, offset)) {
+        await handle.write(chunk);
+      }
+    } finally {
+      await handle.close();
+    }
+
+    await fs.rename(partPath, localPath);
+    await fs.rm(etagPath, { force: true });
     log(`Downloaded ${key} to ${localPath}`);
   } catch (error) {
-    logError("Error downloading from S3:", error);
+    logError("Error downloading backup:", error);
     throw error;
   }
 }
@@ -227,9 +372,12 @@ function runCommand(command, args = [], options = {}) {
       ...options 
     });
 
-    proc.stdout.pipe(process.stdout);
-    proc.stderr.pipe(process.stderr);
+    // stdout may be redirected to a file through options.stdio
+    if (proc.stdout) logCommandOutput(proc.stdout, command, "stdout");
+    logCommandOutput(proc.stderr, command, "stderr");
 
+    // e.g. ENOENT when the command is not installed
+    proc.on("error", reject);
     proc.on("close", (code) => {
       if (code === 0) {
         resolve();
@@ -251,6 +399,197 @@ function runCommand(command, args = [], options = {}) {
   });
 }
 
+// Helper function to run a command that reads its input from a stream.
+// Any extra transform streams (e.g. gunzip) are applied before the command.
+function runCommandWithInput(command, args, streams, options = {}) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, args, {
+      stdio: ["pipe", "pipe", "pipe"],
+      ...options,
+    });
+
+    logCommandOutput(proc.stdout, command, "stdout");
+    logCommandOutput(proc.stderr, command, "stderr");
+
+    pipeline(...streams, proc.stdin).catch(reject);
+
+    proc.on("error", reject);
+    proc.on("close", (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${command} ${args.join(" ")} failed with exit code ${code}`));
+      }
+    });
+  });
+}
+
+// Decryption keys by key id, loaded on first use
+let decryptionKeys = null;
+
+// Helper function to load the current and previous encryption keys
+async function loadDecryptionKeys() {
+  if (!decryptionKeys) {
+    const materials = [];
+    if (config.encryptionKey) {
+      materials.push(config.encryptionKey);
+    }
+    for (const file of [config.encryptionKeyFile, ...config.encryptionOldKeyFiles]) {
+      if (file) {
+        materials.push(await fs.readFile(file, "utf8"));
+      }
+    }
+
+    decryptionKeys = new Map(
+      materials.map((material) => [getKeyId(material), material.trim()]),
+    );
+  }
+  return decryptionKeys;
+}
+
+// Helper function to get the streams that turn a stored file back into what
+// was uploaded: decryption if it was encrypted by the scheduler, then
+// decompression according to its extension
+async function createDecodeStreams(filename) {
+  const streams = [];
+  if (filename.endsWith(ENCRYPTED_EXTENSION)) {
+    streams.push(createDecryptStream(await loadDecryptionKeys()));
+    filename = filename.slice(0, -ENCRYPTED_EXTENSION.length);
+  }
+  const decompress = createDecompressStream(filename);
+  if (decompress) {
+    streams.push(decompress);
+  }
+  return streams;
+}
+
+// Helper function to extract a backup archive stream based on its format,
+// decrypting and decompressing it first
+async function extractArchive(source, filename, destDir) {
+  const streams = [source, ...(await createDecodeStreams(filename))];
+
+  if (/\.xbstream(\.\w+)*$/.test(filename)) {
+    await runCommandWithInput("xbstream", ["-x", "-C", destDir], streams);
+  } else {
+    // --ignore-zeros has tar read to the end of its input rather than exit at
+    // the end-of-archive marker, closing the pipe before everything is written
+    await runCommandWithInput("tar", ["xf", "-", "--ignore-zeros", "-C", destDir], streams);
+  }
+}
+
+// Helper function to decrypt files encrypted by xtrabackup's --encrypt
+// (ENCRYPTION=xtrabackup) after extraction
+async function decryptXtrabackupFiles(backup, destDir) {
+  const files = await fs.readdir(destDir, { recursive: true });
+  if (!files.some((file) => file.endsWith(".xbcrypt"))) return;
+
+  const keys = await loadDecryptionKeys();
+  const keyId = backup.manifest?.encryption?.keyId;
+  // Without a manifest, fall back to the only configured key
+  const material = keyId
+    ? keys.get(keyId)
+    : keys.size === 1 ? [...keys.values()][0] : undefined;
+  if (!material) {
+    throw new Error(
+      keyId
+        ? `No decryption key with id ${keyId} is configured for ${backup.filename}`
+        : `${backup.filename} is encrypted by xtrabackup; configure exactly one key to decrypt it`,
+    );
+  }
+
+  log(`Decrypting ${backup.filename}...`);
+  // The key is passed in a file, so it never shows up in the process list
+  await withSecretFile(material, (keyFile) =>
+    runCommand("xtrabackup", [
+      "--decrypt=AES256",
+      `--encrypt-key-file=${keyFile}`,
+      "--remove-original",
+      `--target-dir=${destDir}`,
+    ]),
+  );
+}
+
+// Helper function to decompress files compressed by xtrabackup's --compress
+// (COMPRESSION=xtrabackup) after extraction and decryption
+async function decompressXtrabackupFiles(backup, destDir) {
+  const files = await fs.readdir(destDir, { recursive: true });
+  if (!files.some((file) => /\.(zst|lz4|qp)$/.test(file))) return;
+
+  log(`Decompressing ${backup.filename}...`);
+  await runCommand("xtrabackup", [
+    "--decompress",
+    "--remove-original",
+    `--parallel=${os.availableParallelism()}`,
+    `--target-dir=${destDir}`,
+  ]);
+}
+
+// Helper function to compute the sha256 of a local file
+async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest("hex");
+}
+
+// Helper function to pass chunks through while hashing them
+async function* hashChunks(chunks, hash) {
+  for await (const chunk of chunks) {
+    hash.update(chunk);
+    yield chunk;
+  }
+}
+
+// Helper function to check an archive against the sha256 recorded in its
+// manifest; getSha256 computes the actual one. Backups without one (from
+// older versions) can't be checked.
+async function checkArchiveChecksum(backup, getSha256) {
+  const expected = backup.manifest?.sha256;
+  if (!expected) {
+    log(`No checksum recorded for ${backup.filename}; skipping integrity check`);
+    return;
+  }
+  const sha256 = await getSha256();
+  if (sha256 !== expected) {
+    throw new Error(
+      `Checksum mismatch for ${backup.filename}: got sha256 ${sha256}, manifest says ${expected}. The stored archive is corrupted.`,
+    );
+  }
+  log(`Checksum of ${backup.filename} verified`);
+}
+
+// Helper function to download a backup and extract it into destDir. The
+// archive is checked against its recorded sha256 before extraction.
+// With STREAM_RESTORE the download is piped straight into extraction and
+// the archive never touches local disk, so it can only be checked once
+// extracted; a mismatch still fails the restore.
+async function fetchAndExtract(backup, destDir) {
+  if (config.streamRestore) {
+    log(`Streaming ${backup.key} into ${destDir}...`);
+    const hash = crypto.createHash("sha256");
+    const source = Readable.from(hashChunks(streamFromStorage(backup.key, backup.size, backup.etag), hash));
+    await extractArchive(source, backup.filename, destDir);
+    await checkArchiveChecksum(backup, () => hash.digest("hex"));
+  } else {
+    const archivePath = path.join(config.restoreRoot, backup.filename);
+    await downloadFromStorage(backup.key, archivePath, backup.size, backup.etag);
+
+    try {
+      await checkArchiveChecksum(backup, () => hashFile(archivePath));
+    } catch (error) {
+      // Don't resume from a corrupted download next time
+      await fs.unlink(archivePath);
+      throw error;
+    }
+
+    log(`Extracting ${backup.filename}...`);
+    await extractArchive(createReadStream(archivePath), backup.filename, destDir);
+    await fs.unlink(archivePath);
+  }
+
+  await decryptXtrabackupFiles(backup, destDir);
+  await decompressXtrabackupFiles(backup, destDir);
+}
+
 // Helper function to get user input
 function getUserInput(question) {
   const rl = readline.createInterface({
@@ -268,20 +607,21 @@ function getUserInput(question) {
 
 // Function to find related backups
 function findRelatedBackups(backups, selectedBackup) {
+  if (selectedBackup.manifest) {
+    return findChainByLsn(backups, selectedBackup);
+  }
+
+  // Backups taken before manifests were introduced are matched by name
   const relatedBackups = [];
   
   if (selectedBackup.isIncremental) {
-    // Find the full backup for this incremental
-    const incDate = selectedBackup.date;
-    const dateStr = incDate.toISOString().slice(0, 10).replace(/-/g, "");
-    
-    // Find the full backup from the same day
-    const fullBackup = backups.find(
-      (b) => !b.isIncremental && b.filename === `full_backup_${dateStr}.tar.gz`
-    );
+    // The base is the most recent full backup taken before this incremental
+    const fullBackup = backups
+      .filter((b) => !b.isIncremental && b.date <= selectedBackup.date)
+      .sort((a, b) => b.date - a.date)[0];
     
     if (!fullBackup) {
-      throw new Error(`Cannot find full backup for date ${dateStr}. Incremental backups cannot be restored without their base full backup.`);
+      throw new Error(`Cannot find a full backup taken before ${selectedBackup.filename}. Incremental backups cannot be restored without their base full backup.`);
     }
     
     relatedBackups.push(fullBackup);
@@ -292,8 +632,7 @@ function findRelatedBackups(backups, selectedBackup) {
         (b) =>
           b.isIncremental &&
           b.date >= fullBackup.date &&
-          b.date <= selectedBackup.date &&
-          b.filename.startsWith(`inc_backup_${dateStr}`)
+          b.date <= selectedBackup.date
       )
       .sort((a, b) => a.date - b.date);
     
@@ -306,9 +645,127 @@ function findRelatedBackups(backups, selectedBackup) {
   return relatedBackups;
 }
 
-// Function to restore backups
-async function restoreBackups(backupsToRestore) {
-  const baseDir = path.join(config.restoreRoot, "base");
+// Helper function to parse the point-in-time target from the command line:
+// --until "2026-10-19 14:32:10" or --until-position binlog.000012:4567
+function getPointInTimeTarget(options) {
+  if (options.until) {
+    const datetime = new Date(options.until);
+    if (isNaN(datetime)) {
+      throw usageError(`Invalid --until "${options.until}", expected "YYYY-MM-DD HH:MM:SS"`);
+    }
+    return { until: options.until, datetime, description: options.until };
+  }
+
+  if (options["until-position"]) {
+    const match = options["until-position"].match(/^(.+):(\d+)$/);
+    if (!match) {
+      throw usageError(`Invalid --until-position "${options["until-position"]}", expected <binlog file>:<position>`);
+    }
+    return { file: match[1], position: parseInt(match[2], 10), description: options["until-position"] };
+  }
+
+  return null;
+}
+
+// Function to find the most recent backup taken before a point-in-time target.
+// The datetime is compared in local time, like mysqlbinlog --stop-datetime.
+function findBackupForTarget(backups, target) {
+  return backups.find((backup) => {
+    if (target.file) {
+      const binlog = backup.manifest?.binlog;
+      if (!binlog) return false;
+      const sequence = getBinlogSequence(binlog.file);
+      const targetSequence = getBinlogSequence(target.file);
+      return sequence < targetSequence ||
+        (sequence === targetSequence && binlog.position <= target.position);
+    }
+    const finishedAt = backup.manifest ? new Date(backup.manifest.finishedAt) : backup.date;
+    return finishedAt <= target.datetime;
+  });
+}
+
+// Helper function to read the binlog position a backup is consistent with
+async function readBinlogInfo(dir) {
+  try {
+    const content = await fs.readFile(path.join(dir, "xtrabackup_binlog_info"), "utf8");
+    const [file, position] = content.trim().split(/\s+/);
+    return { file, position: parseInt(position, 10) };
+  } catch {
+    return null;
+  }
+}
+
+// Function to download the archived binlogs following a restored backup and
+// turn them into a SQL script that replays up to the point-in-time target
+async function prepareBinlogReplay(start, target) {
+  const startSequence = getBinlogSequence(start.file);
+  const endSequence = target.file ? getBinlogSequence(target.file) : Infinity;
+
+  const binlogs = (await storage.list(BINLOG_PREFIX))
+    .map((obj) => ({
+      key: obj.key,
+      filename: path.basename(obj.key),
+      name: path.basename(obj.key).replace(/\.gz(\.enc)?$/, ""),
+      size: obj.size,
+      etag: obj.etag,
+      sequence: getBinlogSequence(path.basename(obj.key)),
+    }))
+    .filter((binlog) => binlog.sequence >= startSequence && binlog.sequence <= endSequence)
+    .sort((a, b) => a.sequence - b.sequence);
+
+  // Replaying across a missing binlog would silently skip transactions
+  binlogs.forEach((binlog, index) => {
+    if (binlog.sequence !== startSequence + index) {
+      throw new Error(`Binlog sequence ${startSequence + index} is missing from the archive; cannot replay past it`);
+    }
+  });
+  if (binlogs.length === 0 || (target.file && binlogs[binlogs.length - 1].sequence !== endSequence)) {
+    throw new Error(`Archived binlogs do not reach ${target.description}; the archiver may not have shipped them yet`);
+  }
+
+  const binlogDir = path.join(config.restoreRoot, "binlogs");
+  await fs.mkdir(binlogDir, { recursive: true });
+
+  const files = [];
+  for (const binlog of binlogs) {
+    const localPath = path.join(binlogDir, binlog.name);
+    const streams = [Readable.from(streamFromStorage(binlog.key, binlog.size, binlog.etag))];
+    if (binlog.filename.endsWith(ENCRYPTED_EXTENSION)) {
+      streams.push(createDecryptStream(await loadDecryptionKeys()));
+    }
+    await pipeline(...streams, zlib.createGunzip(), createWriteStream(localPath));
+    files.push(localPath);
+  }
+
+  const stopArgs = target.file
+    ? [`--stop-position=${target.position}`]
+    : [`--stop-datetime=${target.until}`];
+  const replayFile = path.join(config.restoreRoot, "pitr.sql");
+  const output = await fs.open(replayFile, "w");
+  try {
+    log(`\nExtracting binlog events from ${start.file}:${start.position} up to ${target.description}...`);
+    await runCommand(
+      "mysqlbinlog",
+      [`--start-position=${start.position}`, ...stopArgs, ...files],
+      { stdio: ["ignore", output.fd, "pipe"] },
+    );
+  } finally {
+    await output.close();
+  }
+
+  if (!target.file) {
+    log(`Replay includes binlogs up to ${binlogs[binlogs.length - 1].name}; changes in binlogs not yet archived are not included.`);
+  }
+  return replayFile;
+}
+
+// Function to restore backups. With exportTables, the final prepare runs
+// with --export, which writes the .cfg files needed to import single tables.
+async function restoreBackups(
+  backupsToRestore,
+  target = null,
+  { baseDir = config.targetDir || path.join(config.restoreRoot, "base"), exportTables = false } = {},
+) {
   await fs.mkdir(baseDir, { recursive: true });
 
   log("\n=== Starting restore process ===");
@@ -318,12 +775,9 @@ async function restoreBackups(backupsToRestore) {
   const fullBackup = backupsToRestore[0];
   log(`\n1. Restoring full backup: ${fullBackup.filename}`);
   
-  const fullBackupPath = path.join(config.restoreRoot, fullBackup.filename);
-  await downloadFromS3(fullBackup.key, fullBackupPath);
-  
-  log("Extracting full backup...");
-  await runCommand("tar", ["xzf", fullBackupPath, "-C", baseDir]);
-  await fs.unlink(fullBackupPath);
+  await fetchAndExtract(fullBackup, baseDir);
+  // The last applied backup's position is where binlog replay starts
+  let binlogStart = await readBinlogInfo(baseDir);
 
   // If we have incremental backups, prepare the base backup with --apply-log-only
   if (backupsToRestore.length > 1) {
@@ -340,15 +794,10 @@ async function restoreBackups(backupsToRestore) {
     const incBackup = backupsToRestore[i];
     log(`\n${i + 1}. Applying incremental backup: ${incBackup.filename}`);
     
-    const incBackupPath = path.join(config.restoreRoot, incBackup.filename);
     const incDir = path.join(config.restoreRoot, `inc_${i}`);
-    
-    await downloadFromS3(incBackup.key, incBackupPath);
     await fs.mkdir(incDir, { recursive: true });
-    
-    log("Extracting incremental backup...");
-    await runCommand("tar", ["xzf", incBackupPath, "-C", incDir]);
-    await fs.unlink(incBackupPath);
+    await fetchAndExtract(incBackup, incDir);
+    binlogStart = (await readBinlogInfo(incDir)) || binlogStart;
     
     log("Preparing incremental backup...");
     await runCommand("xtrabackup", [
@@ -366,10 +815,24 @@ async function restoreBackups(backupsToRestore) {
   log("\nRunning final prepare...");
   await runCommand("xtrabackup", [
     "--prepare",
+    ...(exportTables ? ["--export"] : []),
     `--target-dir=${baseDir}`,
   ]);
 
+  let replayFile = null;
+  if (target) {
+    if (!binlogStart) {
+      throw new Error("The backup has no xtrabackup_binlog_info; binary logging must be enabled for point-in-time recovery");
+    }
+    replayFile = await prepareBinlogReplay(binlogStart, target);
+  }
+
   log("\n=== Restore preparation complete ===");
+  return { baseDir, replayFile };
+}
+
+// Function to print the manual steps for putting a prepared backup in place
+function printRestoreInstructions({ baseDir, replayFile }, target) {
   log(`\nRestored data is ready in: ${baseDir}`);
   
   log("\n📁 IMPORTANT: The restored data is saved in the above directory.");
@@ -382,86 +845,1403 @@ async function restoreBackups(backupsToRestore) {
   log("4. Run: xtrabackup --copy-back --datadir=/var/lib/mysql --target-dir=" + baseDir);
   log("5. Fix ownership: chown -R mysql:mysql /var/lib/mysql");
   log("6. Start MySQL server");
+  if (replayFile) {
+    log(`7. Replay binlogs up to ${target.description}: mysql -u root -p < ${replayFile}`);
+  }
   
   log("\nAlternatively, you can manually copy the files from the restore directory.");
 }
 
-// Main function
-async function main() {
+// Helper function to run a configured shell command (MYSQL_STOP_COMMAND etc.)
+function runShellCommand(command) {
+  return runCommand("sh", ["-c", command]);
+}
+
+// Helper function to check whether a MySQL server is still running on the
+// data directory. Returns a description of the evidence, or null.
+async function findRunningMysql(datadir) {
+  const pidFiles = config.mysqlPidFile ? [config.mysqlPidFile] : [];
   try {
-    log("=== XtraBackup Restore Tool ===\n");
-    
-    // List backups
-    log("Fetching backup list from S3...");
-    const backups = await listBackups();
-    
-    if (backups.length === 0) {
-      log("No backups found.");
-      return;
-    }
-    
-    // Display backups
-    console.log("\nAvailable backups (most recent first):");
-    console.log("─".repeat(80));
-    console.log("No. | Type        | Date & Time          | Size      | Filename");
-    console.log("─".repeat(80));
-    
-    backups.forEach((backup, index) => {
-      const type = backup.isIncremental ? "Incremental" : "Full      ";
-      const dateStr = backup.date.toISOString().replace("T", " ").slice(0, 19);
-      const sizeStr = formatBytes(backup.size).padEnd(9);
-      console.log(
-        `${(index + 1).toString().padStart(2)}. | ${type} | ${dateStr} | ${sizeStr} | ${backup.filename}`
-      );
-    });
-    console.log("─".repeat(80));
-    
-    // Get user selection
-    const selection = await getUserInput("\nEnter backup number to restore (or 'q' to quit): ");
-    
-    if (selection.toLowerCase() === "q") {
-      log("Restore cancelled.");
-      return;
+    for (const entry of await fs.readdir(datadir)) {
+      if (entry.endsWith(".pid")) pidFiles.push(path.join(datadir, entry));
     }
-    
-    const selectedIndex = parseInt(selection) - 1;
-    if (isNaN(selectedIndex) || selectedIndex < 0 || selectedIndex >= backups.length) {
-      logError("Invalid selection.");
-      return;
+  } catch {
+    // No data directory, nothing running on it
+  }
+
+  for (const file of pidFiles) {
+    try {
+      const pid = parseInt(await fs.readFile(file, "utf8"), 10);
+      process.kill(pid, 0);
+      return `process ${pid} from ${file} is running`;
+    } catch (error) {
+      // EPERM means the process exists but belongs to another user
+      if (error.code === "EPERM") return `the process in ${file} is running`;
     }
-    
-    const selectedBackup = backups[selectedIndex];
-    log(`\nSelected: ${selectedBackup.filename}`);
-    
-    // Find all related backups needed for restore
-    const backupsToRestore = findRelatedBackups(backups, selectedBackup);
-    
-    log("\nBackups required for restore:");
-    backupsToRestore.forEach((backup, index) => {
-      log(`  ${index + 1}. ${backup.filename} (${formatBytes(backup.size)})`);
+  }
+
+  if (config.dbHost) {
+    const listening = await new Promise((resolve) => {
+      const socket = net.connect(parseInt(config.dbPort, 10), config.dbHost);
+      socket.setTimeout(3000, () => { socket.destroy(); resolve(false); });
+      socket.once("connect", () => { socket.destroy(); resolve(true); });
+      socket.once("error", () => resolve(false));
     });
-    
-    const proceed = await getUserInput("\nProceed with restore? (yes/no): ");
-    
-    if (proceed.toLowerCase() !== "yes") {
-      log("Restore cancelled.");
-      return;
+    if (listening) return `${config.dbHost}:${config.dbPort} accepts connections`;
+  }
+
+  return null;
+}
+
+// Function to put a prepared backup in place of the MySQL data directory.
+// The current data directory is moved aside rather than deleted, and moved
+// back if any step fails.
+async function copyBackToDatadir(baseDir, mode) {
+  const datadir = config.mysqlDatadir.replace(/\/+$/, "");
+  const asideDir = `${datadir}.before-restore-${new Date().toISOString().slice(0, 19).replace(/[:-]/g, "")}`;
+  log(`\n=== ${mode === "move" ? "Moving" : "Copying"} restored data into ${datadir} ===`);
+
+  if (config.mysqlStopCommand) {
+    log(`Stopping MySQL: ${config.mysqlStopCommand}`);
+    await runShellCommand(config.mysqlStopCommand);
+  }
+  const running = await findRunningMysql(datadir);
+  if (running) {
+    throw new Error(`MySQL is still running (${running}); stop it first or set MYSQL_STOP_COMMAND`);
+  }
+
+  const existing = await fs.stat(datadir).catch(() => null);
+  if (existing) {
+    log(`Moving current data directory aside to ${asideDir}`);
+    try {
+      await fs.rename(datadir, asideDir);
+    } catch (error) {
+      if (error.code === "EBUSY" || error.code === "EXDEV") {
+        throw new Error(`Cannot move ${datadir} aside (${error.code}); it is probably a mount point. Mount its parent directory instead.`);
+      }
+      throw error;
+    }
+  }
+
+  try {
+    await fs.mkdir(datadir, { mode: existing ? existing.mode : 0o750 });
+    await runCommand("xtrabackup", [
+      mode === "move" ? "--move-back" : "--copy-back",
+      `--datadir=${datadir}`,
+      `--target-dir=${baseDir}`,
+    ]);
+
+    log(`Fixing ownership: chown -R ${config.mysqlOwner} ${datadir}`);
+    await runCommand("chown", ["-R", config.mysqlOwner, datadir]);
+
+    if (config.mysqlStartCommand) {
+      log(`Starting MySQL: ${config.mysqlStartCommand}`);
+      await runShellCommand(config.mysqlStartCommand);
     }
-    
-    // Create restore directory
-    await fs.mkdir(config.restoreRoot, { recursive: true });
-    
-    // Perform restore
-    await restoreBackups(backupsToRestore);
-    
   } catch (error) {
-    logError("Restore failed:", error);
-    process.exit(1);
+    logError("Copy-back failed, rolling back:", error);
+    if (config.mysqlStopCommand && (await findRunningMysql(datadir))) {
+      await runShellCommand(config.mysqlStopCommand).catch(() => {});
+    }
+    await fs.rm(datadir, { recursive: true, force: true });
+    if (existing) {
+      await fs.rename(asideDir, datadir);
+      log(`Original data directory restored from ${asideDir}`);
+      if (config.mysqlStartCommand) {
+        await runShellCommand(config.mysqlStartCommand).catch((startError) =>
+          logError("Failed to restart MySQL on the original data directory:", startError),
+        );
+      }
+    }
+    throw error;
   }
-}
 
-// Run the restore tool
-main().catch((error) => {
-  logError("Fatal error:", error);
-  process.exit(1);
-});
\ No newline at end of file
+  log(`\n=== Restored data is now in ${datadir} ===`);
+  if (existing) {
+    log(`The previous data directory was kept at ${asideDir}; delete it once the restored server checks out.`);
+  }
+  if (!config.mysqlStartCommand) {
+    log("Start MySQL to use the restored data.");
+  }
+}
+
+// Helper function to parse --databases and --tables into a filter for a
+// partial restore, or null to restore the whole instance
+function getTableFilter(options) {
+  if (!options.databases && !options.tables) return null;
+
+  const splitList = (value) => (value || "").split(",").map((item) => item.trim()).filter(Boolean);
+  const databases = splitList(options.databases);
+  const tables = splitList(options.tables).map((name) => {
+    const match = name.match(/^([^.]+)\.([^.]+)$/);
+    if (!match) {
+      throw usageError(`Invalid table "${name}" in --tables, expected <database>.<table>`);
+    }
+    return { database: match[1], table: match[2] };
+  });
+  for (const database of [...databases, ...tables.map((table) => table.database)]) {
+    if (SYSTEM_SCHEMAS.includes(database.toLowerCase())) {
+      throw usageError(`Tables of the ${database} system schema can't be restored individually`);
+    }
+  }
+
+  return {
+    databases,
+    tables,
+    description: [
+      ...databases.map((database) => `${database}.*`),
+      ...tables.map((table) => `${table.database}.${table.table}`),
+    ].join(", "),
+    matches: (database, table) =>
+      databases.includes(database) ||
+      tables.some((selected) => selected.database === database && selected.table === table),
+  };
+}
+
+// Helper function to decode a MySQL file name into a database or table name.
+// Characters other than letters, digits and underscores are stored as
+// @ followed by four hex digits.
+function decodeMysqlFilename(filename) {
+  return filename.replace(/@([0-9a-f]{4})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// Helper function to find the tables in a prepared backup that match a
+// filter. Returns [{ database, table, dir, files }], where files are the
+// .ibd files of the table (one per partition) and the .cfg/.cfp files
+// written by --export.
+async function findExportedTables(baseDir, filter) {
+  const found = new Map();
+
+  for (const dirEntry of await fs.readdir(baseDir, { withFileTypes: true })) {
+    // Skip files and InnoDB's own directories (#innodb_redo, #innodb_temp)
+    if (!dirEntry.isDirectory() || dirEntry.name.startsWith("#")) continue;
+    const database = decodeMysqlFilename(dirEntry.name);
+
+    for (const file of await fs.readdir(path.join(baseDir, dirEntry.name))) {
+      const match = file.match(/^(.+?)(#p#.+)?\.(ibd|cfg|cfp)$/i);
+      if (!match) continue;
+      const table = decodeMysqlFilename(match[1]);
+      if (!filter.matches(database, table)) continue;
+
+      const key = `${database}.${table}`;
+      if (!found.has(key)) {
+        found.set(key, { database, table, dir: dirEntry.name, files: [] });
+      }
+      found.get(key).files.push(file);
+    }
+  }
+
+  const missing = [
+    ...filter.databases.filter((database) => ![...found.values()].some((table) => table.database === database)),
+    ...filter.tables
+      .map((table) => `${table.database}.${table.table}`)
+      .filter((name) => !found.has(name)),
+  ];
+  if (missing.length > 0) {
+    const error = new Error(`Not in the backup (or not InnoDB tables with their own tablespace): ${missing.join(", ")}`);
+    error.exitCode = EXIT_NOT_FOUND;
+    throw error;
+  }
+
+  for (const table of found.values()) {
+    if (!table.files.some((file) => file.endsWith(".cfg"))) {
+      throw new Error(`No .cfg file was exported for ${table.database}.${table.table}`);
+    }
+  }
+  return [...found.values()];
+}
+
+// Helper function to move a file, copying it when the destination is on
+// another filesystem
+async function moveFile(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== "EXDEV") throw error;
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+}
+
+// Helper function to quote a table for SQL
+function quoteTable({ database, table }) {
+  return `${mysql.escapeId(database)}.${mysql.escapeId(table)}`;
+}
+
+// Helper function to run a command and capture its stdout
+function getCommandStdout(command, args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+    proc.stdout.on("data", (data) => (stdout += data));
+    proc.stderr.on("data", (data) => (stderr += data));
+    proc.on("error", reject);
+    proc.on("close", (code) => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(`${command} ${args.join(" ")} failed with exit code ${code}: ${stderr.trim()}`));
+      }
+    });
+  });
+}
+
+// Helper function to read the columns of a table at backup time from the
+// serialized dictionary information (SDI) in its .ibd file, with ibd2sdi
+// from the MySQL server package. Returns null if ibd2sdi isn't installed.
+async function readBackupColumns(ibdFile) {
+  let output;
+  try {
+    output = await getCommandStdout("ibd2sdi", [ibdFile]);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+
+  const table = JSON.parse(output).find((entry) => entry?.object?.dd_object_type === "Table");
+  if (!table) {
+    throw new Error(`No table definition found in ${ibdFile}`);
+  }
+  // Skip columns InnoDB adds itself (hidden = 2) and those of functional
+  // indexes (hidden = 3), which information_schema doesn't list either
+  return table.object.dd_object.columns
+    .filter((column) => column.hidden !== 2 && column.hidden !== 3)
+    .map((column) => `${column.name} ${column.column_type_utf8}${column.is_nullable ? "" : " NOT NULL"}`);
+}
+
+// Helper function to check that a table exists on the target server with the
+// definition it had at backup time, before its tablespace is discarded
+async function checkTableDefinition(connection, table, exportDir) {
+  const name = `${table.database}.${table.table}`;
+  const [tables] = await connection.query(
+    "SELECT ENGINE AS engine FROM information_schema.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?",
+    [table.database, table.table],
+  );
+  if (tables.length === 0) {
+    throw new Error(`${name} doesn't exist on ${config.dbHost}. Create it with the definition it had at backup time, then import again.`);
+  }
+  if (tables[0].engine !== "InnoDB") {
+    throw new Error(`${name} on ${config.dbHost} uses ${tables[0].engine}; only InnoDB tables can be imported`);
+  }
+
+  const ibdFile = table.files.find((file) => file.endsWith(".ibd"));
+  const backupColumns = await readBackupColumns(path.join(exportDir, table.dir, ibdFile));
+  if (!backupColumns) {
+    log(`ibd2sdi not found; leaving the definition check of ${name} to IMPORT TABLESPACE`);
+    return;
+  }
+
+  const [rows] = await connection.query(
+    `SELECT COLUMN_NAME AS name, COLUMN_TYPE AS type, IS_NULLABLE AS nullable
+     FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?
+     ORDER BY ORDINAL_POSITION`,
+    [table.database, table.table],
+  );
+  const serverColumns = rows.map((row) => `${row.name} ${row.type}${row.nullable === "YES" ? "" : " NOT NULL"}`);
+
+  const differences = [];
+  for (let i = 0; i < Math.max(backupColumns.length, serverColumns.length); i++) {
+    if (backupColumns[i] !== serverColumns[i]) {
+      differences.push(`  column ${i + 1}: backup has ${backupColumns[i] || "nothing"}, server has ${serverColumns[i] || "nothing"}`);
+    }
+  }
+  if (differences.length > 0) {
+    throw new Error(
+      `The definition of ${name} on ${config.dbHost} doesn't match the backup:\n${differences.join("\n")}\n` +
+        "Recreate the table as it was at backup time, then import again.",
+    );
+  }
+  log(`Definition of ${name} matches the backup (${backupColumns.length} columns)`);
+}
+
+// Function to import exported tables into the server at DB_HOST: for each
+// table, DISCARD TABLESPACE, copy its files into the server's data directory
+// (MYSQL_DATADIR, which must be local), then IMPORT TABLESPACE. Every
+// definition is checked before any tablespace is discarded.
+async function importTables(tables, exportDir) {
+  const datadir = config.mysqlDatadir;
+  const connection = await mysql.createConnection({
+    host: config.dbHost,
+    port: parseInt(config.dbPort, 10),
+    user: config.dbUser,
+    password: config.dbPassword,
+  });
+
+  try {
+    log(`\n=== Importing ${tables.length} table(s) into ${config.dbHost}:${config.dbPort} ===`);
+    for (const table of tables) {
+      await checkTableDefinition(connection, table, exportDir);
+      const databaseDir = path.join(datadir, table.dir);
+      if (!(await fs.stat(databaseDir).catch(() => null))) {
+        throw new Error(`${databaseDir} doesn't exist; is ${datadir} the data directory of ${config.dbHost}? Set MYSQL_DATADIR or --datadir.`);
+      }
+    }
+
+    // DISCARD TABLESPACE fails for tables referenced by foreign keys otherwise
+    await connection.query("SET SESSION foreign_key_checks = 0");
+
+    for (const table of tables) {
+      const name = `${table.database}.${table.table}`;
+      log(`Importing ${name}...`);
+      await connection.query(`ALTER TABLE ${quoteTable(table)} DISCARD TABLESPACE`);
+      try {
+        for (const file of table.files) {
+          const target = path.join(datadir, table.dir, file);
+          await fs.copyFile(path.join(exportDir, table.dir, file), target);
+          await runCommand("chown", [config.mysqlOwner, target]);
+        }
+        await connection.query(`ALTER TABLE ${quoteTable(table)} IMPORT TABLESPACE`);
+      } catch (error) {
+        const hint = error.errno === 1808 ? " The table's definition or row format differs from the backup." : "";
+        throw new Error(
+          `Importing ${name} failed after its tablespace was discarded, so the table is unusable until an import succeeds.${hint} ` +
+            `Fix the cause and import again from ${exportDir}: ${error.message}`,
+        );
+      }
+      // The .cfg/.cfp files are only read during the import
+      for (const file of table.files.filter((file) => !file.endsWith(".ibd"))) {
+        await fs.rm(path.join(datadir, table.dir, file), { force: true });
+      }
+      log(`Imported ${name}`);
+    }
+  } finally {
+    await connection.end();
+  }
+  log(`\n=== Imported ${tables.map((table) => `${table.database}.${table.table}`).join(", ")} ===`);
+}
+
+// Function to restore individual tables: the chain is prepared with --export
+// in RESTORE_DIR, the selected tables' files are moved to the export
+// directory along with SQL for importing them, and the rest of the prepared
+// copy is deleted. With --import, they are imported into DB_HOST right away.
+async function restoreTables(backupsToRestore, filter, options) {
+  const baseDir = path.join(config.restoreRoot, "base");
+  const exportDir = config.targetDir || path.join(config.restoreRoot, "export");
+
+  await restoreBackups(backupsToRestore, null, { baseDir, exportTables: true });
+  const tables = await findExportedTables(baseDir, filter);
+
+  log(`\nExporting ${tables.length} table(s) to ${exportDir}`);
+  for (const table of tables) {
+    await fs.mkdir(path.join(exportDir, table.dir), { recursive: true });
+    for (const file of table.files) {
+      await moveFile(path.join(baseDir, table.dir, file), path.join(exportDir, table.dir, file));
+    }
+    log(`  ${table.database}.${table.table}: ${table.files.join(", ")}`);
+  }
+  await fs.rm(baseDir, { recursive: true, force: true });
+
+  const statements = (action) => tables.map((table) => `ALTER TABLE ${quoteTable(table)} ${action} TABLESPACE;\n`).join("");
+  await fs.writeFile(path.join(exportDir, "discard.sql"), "SET SESSION foreign_key_checks = 0;\n" + statements("DISCARD"));
+  await fs.writeFile(path.join(exportDir, "import.sql"), "SET SESSION foreign_key_checks = 0;\n" + statements("IMPORT"));
+
+  if (options.import) {
+    await importTables(tables, exportDir);
+    return;
+  }
+
+  log(`\nThe tables' files are in ${exportDir}. To import them into a server where they exist with the same definition:`);
+  log(`1. mysql -u root -p < ${path.join(exportDir, "discard.sql")}`);
+  log(`2. Copy each database directory's files from ${exportDir} into the server's data directory, and chown them to ${config.mysqlOwner}`);
+  log(`3. mysql -u root -p < ${path.join(exportDir, "import.sql")}`);
+  log("Or rerun with --import to do this against DB_HOST.");
+}
+
+// Helper function to list the logical backups in storage, most recent first.
+// A backup is only listed once its manifest was written, i.e. every dump in
+// it was uploaded.
+async function listLogicalBackups() {
+  const objects = await storage.list(LOGICAL_PREFIX);
+  const objectsByKey = new Map(objects.map((object) => [object.key, object]));
+
+  const backups = [];
+  for (const object of objects.filter((object) => object.key.endsWith(`/${LOGICAL_MANIFEST}`))) {
+    const manifest = await storage.getJson(object.key);
+    backups.push({
+      name: manifest.id,
+      date: new Date(manifest.startedAt),
+      size: manifest.size,
+      manifest,
+      dumps: manifest.databases.map((database) => ({
+        ...database,
+        filename: path.basename(database.key),
+        object: objectsByKey.get(database.key),
+      })),
+    });
+  }
+  return backups.sort((a, b) => b.date - a.date);
+}
+
+// Helper function to run fn with the mysql client arguments for the server
+// logical backups are loaded into. The credentials are passed in a file, so
+// they never show up in the process list.
+function withMysqlClientArgs(fn) {
+  return withSecretFile(formatClientOptions({ user: config.dbUser, password: config.dbPassword }), (defaultsFile) =>
+    // mysql only reads --defaults-extra-file as its first option
+    fn([`--defaults-extra-file=${defaultsFile}`, `--host=${config.dbHost}`, `--port=${config.dbPort}`]),
+  );
+}
+
+// Helper function to load a mysqldump dump into a database. The dump is
+// checked against its recorded sha256 before it is loaded; with
+// STREAM_RESTORE it is piped straight into mysql and can only be checked
+// afterwards, so a corrupted dump may have been partly loaded by then.
+async function loadSqlDump(dump, database) {
+  const { key, size, etag } = dump.object;
+
+  if (config.streamRestore) {
+    log(`Streaming ${key} into ${database}...`);
+    const hash = crypto.createHash("sha256");
+    const source = Readable.from(hashChunks(streamFromStorage(key, size, etag), hash));
+    const streams = [source, ...(await createDecodeStreams(dump.filename))];
+    await withMysqlClientArgs((args) => runCommandWithInput("mysql", [...args, `--database=${database}`], streams));
+    await checkArchiveChecksum({ filename: dump.filename, manifest: dump }, () => hash.digest("hex"));
+    return;
+  }
+
+  const dumpPath = path.join(config.restoreRoot, dump.filename);
+  await downloadFromStorage(key, dumpPath, size, etag);
+  try {
+    await checkArchiveChecksum({ filename: dump.filename, manifest: dump }, () => hashFile(dumpPath));
+  } catch (error) {
+    // Don't resume from a corrupted download next time
+    await fs.unlink(dumpPath);
+    throw error;
+  }
+  log(`Loading ${dump.name} into ${database}...`);
+  const streams = [createReadStream(dumpPath), ...(await createDecodeStreams(dump.filename))];
+  await withMysqlClientArgs((args) => runCommandWithInput("mysql", [...args, `--database=${database}`], streams));
+  await fs.unlink(dumpPath);
+}
+
+// Helper function to load a mydumper dump into a database with myloader.
+// The archive is extracted (and checked) like a physical backup first.
+async function loadMydumperDump(dump, database) {
+  const dumpDir = path.join(config.restoreRoot, `mydumper_${encodeURIComponent(dump.name)}`);
+  await fs.mkdir(dumpDir, { recursive: true });
+  try {
+    await fetchAndExtract({ ...dump.object, filename: dump.filename, manifest: dump }, dumpDir);
+    log(`Loading ${dump.name} into ${database}...`);
+    // The credentials are passed in a file, so they never show up in the process list
+    await withSecretFile(formatClientOptions({ user: config.dbUser, password: config.dbPassword }), (defaultsFile) =>
+      runCommand("myloader", [
+        `--defaults-file=${defaultsFile}`,
+        `--host=${config.dbHost}`,
+        `--port=${config.dbPort}`,
+        `--directory=${dumpDir}`,
+        `--database=${database}`,
+        "--overwrite-tables",
+      ]),
+    );
+  } finally {
+    await fs.rm(dumpDir, { recursive: true, force: true });
+  }
+}
+
+// Function to load the selected dumps of a logical backup into DB_HOST.
+// Each database is created if it doesn't exist, with the character set and
+// collation it had; tables in the dump replace tables of the same name, and
+// other tables in the database are left alone. names maps a database in the
+// backup to the name it is loaded as.
+async function loadLogicalBackup(backup, dumps, names) {
+  const connection = await mysql.createConnection({
+    host: config.dbHost,
+    port: parseInt(config.dbPort, 10),
+    user: config.dbUser,
+    password: config.dbPassword,
+  });
+  try {
+    for (const dump of dumps) {
+      const database = names.get(dump.name);
+      const charset = dump.charset ? ` CHARACTER SET ${mysql.escape(dump.charset)}` : "";
+      const collation = dump.collation ? ` COLLATE ${mysql.escape(dump.collation)}` : "";
+      await connection.query(`CREATE DATABASE IF NOT EXISTS ${mysql.escapeId(database)}${charset}${collation}`);
+    }
+  } finally {
+    await connection.end();
+  }
+
+  for (const dump of dumps) {
+    const database = names.get(dump.name);
+    if (backup.manifest.format === "mydumper") {
+      await loadMydumperDump(dump, database);
+    } else {
+      await loadSqlDump(dump, database);
+    }
+    log(`Loaded ${dump.name}${database !== dump.name ? ` as ${database}` : ""}`);
+  }
+}
+
+// Helper function to start a throwaway mysqld on a restored data directory.
+// By default it runs with --skip-grant-tables, which in MySQL 8 also
+// disables TCP, so it is only reachable through a socket in the scratch
+// directory. With VERIFY_PORT it listens on that port on 127.0.0.1 instead;
+// MySQL 8 has no TCP without grant tables, so it keeps them and is checked
+// as DB_USER, whose account was restored along with the data.
+async function startScratchMysqld(dataDir) {
+  const socketPath = path.join(config.restoreRoot, "mysqld.sock");
+  const errorLog = path.join(config.restoreRoot, "mysqld.err");
+  const args = [
+    `--datadir=${dataDir}`,
+    `--socket=${socketPath}`,
+    `--pid-file=${path.join(config.restoreRoot, "mysqld.pid")}`,
+    `--log-error=${errorLog}`,
+    `--user=${os.userInfo().username}`,
+    ...(config.verifyPort
+      ? [`--port=${config.verifyPort}`, "--bind-address=127.0.0.1"]
+      : ["--skip-grant-tables"]),
+    "--skip-log-bin",
+    "--skip-replica-start",
+    "--mysqlx=OFF",
+  ];
+
+  log(`\nStarting scratch mysqld on ${dataDir}...`);
+  const proc = spawn(config.verifyMysqld, args, { stdio: ["ignore", "pipe", "pipe"] });
+  logCommandOutput(proc.stdout, "mysqld", "stdout");
+  logCommandOutput(proc.stderr, "mysqld", "stderr");
+
+  let exited = false;
+  const exitedPromise = new Promise((resolve) => {
+    proc.on("error", (error) => { exited = error; resolve(); });
+    proc.on("close", (code) => { exited = exited || code; resolve(); });
+  });
+  const mysqld = { proc, socketPath, exitedPromise };
+
+  const deadline = Date.now() + config.verifyStartupTimeout;
+  while (Date.now() < deadline) {
+    if (exited !== false) {
+      const tail = await fs.readFile(errorLog, "utf8").catch(() => "");
+      throw new Error(`mysqld exited during startup (${exited}):\n${tail.split("\n").slice(-20).join("\n")}`);
+    }
+    try {
+      mysqld.connection = await mysql.createConnection(
+        config.verifyPort
+          ? { host: "127.0.0.1", port: config.verifyPort, user: config.dbUser, password: config.dbPassword }
+          : { socketPath },
+      );
+      log("Scratch mysqld is up.");
+      return mysqld;
+    } catch {
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+    }
+  }
+
+  await stopScratchMysqld(mysqld);
+  throw new Error(`mysqld did not accept connections within ${config.verifyStartupTimeout / 1000}s`);
+}
+
+// Helper function to shut down the scratch mysqld
+async function stopScratchMysqld(mysqld) {
+  if (mysqld.connection) {
+    await mysqld.connection.end().catch(() => {});
+  }
+  if (mysqld.proc.exitCode === null) {
+    log("Stopping scratch mysqld...");
+    mysqld.proc.kill("SIGTERM");
+    const timeout = setTimeout(() => mysqld.proc.kill("SIGKILL"), 120 * 1000);
+    await mysqld.exitedPromise;
+    clearTimeout(timeout);
+  }
+}
+
+// Function to run sanity SQL against the scratch mysqld. User tables are
+// counted per schema, then each statement from VERIFY_SQL_FILE must succeed
+// and return a first row without NULL or 0 values, e.g.
+// "SELECT COUNT(*) FROM shop.orders" or "CHECKSUM TABLE shop.orders".
+async function runSanityChecks(connection) {
+  const [schemas] = await connection.query(
+    `SELECT table_schema AS name, COUNT(*) AS tables
+     FROM information_schema.tables
+     WHERE table_schema NOT IN ('mysql', 'sys', 'information_schema', 'performance_schema')
+     GROUP BY table_schema`,
+  );
+  schemas.forEach((schema) => log(`  ${schema.name}: ${schema.tables} table(s)`));
+  const summary = [`${schemas.length} schema(s), ${schemas.reduce((sum, schema) => sum + Number(schema.tables), 0)} table(s)`];
+
+  if (config.verifySqlFile) {
+    const statements = (await fs.readFile(config.verifySqlFile, "utf8"))
+      .split(/;\s*$/m)
+      .map((statement) => statement.trim())
+      .filter(Boolean);
+
+    for (const statement of statements) {
+      const [rows] = await connection.query(statement);
+      const firstRow = Array.isArray(rows) ? rows[0] : undefined;
+      const values = firstRow ? Object.values(firstRow) : [];
+      log(`  ${statement} => ${JSON.stringify(values)}`);
+      if (!firstRow || values.some((value) => value === null || Number(value) === 0)) {
+        throw new Error(`Sanity check failed: ${statement} => ${JSON.stringify(firstRow || null)}`);
+      }
+    }
+    summary.push(`${statements.length} sanity check(s) passed`);
+  }
+
+  return summary.join(", ");
+}
+
+// Helper function to report a verification result to VERIFY_HEALTH_CHECK_URL
+// (healthchecks.io style: <url> on success, <url>/fail on failure)
+async function reportVerification(passed) {
+  if (!config.verifyHealthCheckUrl) return;
+  try {
+    const axiosConfig = { timeout: 10000 };
+    if (config.proxy) {
+      const agent = getProxyAgent(config.proxy);
+      axiosConfig.httpsAgent = agent;
+      axiosConfig.httpAgent = agent;
+    }
+    // "/fail" goes at the end of the path, ahead of any query string
+    const url = new URL(config.verifyHealthCheckUrl);
+    if (!passed) {
+      url.pathname = `${url.pathname.replace(/\/+$/, "")}/fail`;
+    }
+    await axios.get(url.toString(), axiosConfig);
+  } catch (error) {
+    logError("Failed to report verification result:", error);
+  }
+}
+
+// Exit codes, so scripts and CI jobs can tell failures apart
+const EXIT_FAILURE = 1; // restore or storage error
+const EXIT_USAGE = 2; // invalid arguments, or confirmation required
+const EXIT_NOT_FOUND = 3; // no backup matches the selection
+
+const USAGE = `Usage:
+  node restore.js                      Interactive restore (requires a TTY)
+  node restore.js list [--json]        List all backups
+  node restore.js backups [options]    Browse backups grouped by chain
+  node restore.js prepare [options]    Download and prepare a backup
+  node restore.js verify               Restore the latest backup into a scratch mysqld and run sanity checks
+  node restore.js verify-remote [--backup <name>] [--quick] [--json]
+                                       Check stored archives against the checksums in their manifests
+  node restore.js logical [--json]     List logical backups
+  node restore.js load [options]       Load databases from a logical backup into a server
+
+Options for all commands:
+  --from <url>                         Restore from this destination (s3://, file://, sftp://)
+
+Backups options:
+  --since <timestamp>, --before <timestamp>
+                                       Only backups taken in this time range
+  --type <full|incremental>            Only backups of this type
+  --backup <name>                      Show the details of one backup instead
+  --json                               Machine-readable output
+
+Prepare options:
+  --backup <name|latest>               Backup to restore
+  --at <timestamp>                     Most recent backup taken at or before a time
+  --until <timestamp>                  Point-in-time restore, replaying binlogs up to a time
+  --until-position <file>:<position>   Point-in-time restore up to a binlog position
+                                       (GTID targets are not supported; find the GTID's position with mysqlbinlog)
+  --target-dir <dir>                   Where to put the prepared data (default <RESTORE_DIR>/base)
+  --copy-back                          Put the prepared data in place of MYSQL_DATADIR (old one is moved aside)
+  --move-back                          Like --copy-back, but moves the prepared files instead of copying
+  --datadir <dir>                      MySQL data directory for --copy-back/--move-back/--import (default MYSQL_DATADIR)
+  --yes                                Don't ask for confirmation
+
+Partial restore options (prepare and interactive):
+  --databases <db,...>                 Only restore the tables of these databases
+  --tables <db.table,...>              Only restore these tables
+  --import                             Import them into DB_HOST with DISCARD/IMPORT TABLESPACE
+                                       (files go to --target-dir, default <RESTORE_DIR>/export)
+
+Load options:
+  --backup <name|latest>               Logical backup to load
+  --databases <db,...>                 Only load these databases (default all in the backup)
+  --as <name>                          Load the one selected database under another name
+  --target-host <host[:port]>          Server to load into (default DB_HOST), as DB_USER
+  --yes                                Don't ask for confirmation`;
+
+// Helper function to create an error that exits with EXIT_USAGE
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_USAGE;
+  return error;
+}
+
+// Helper function to parse the command and options from the command line
+function parseCommandLine() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        json: { type: "boolean" },
+        quick: { type: "boolean" },
+        since: { type: "string" },
+        before: { type: "string" },
+        type: { type: "string" },
+        from: { type: "string" },
+        backup: { type: "string" },
+        at: { type: "string" },
+        until: { type: "string" },
+        "until-position": { type: "string" },
+        "target-dir": { type: "string" },
+        "copy-back": { type: "boolean" },
+        "move-back": { type: "boolean" },
+        datadir: { type: "string" },
+        databases: { type: "string" },
+        tables: { type: "string" },
+        import: { type: "boolean" },
+        as: { type: "string" },
+        "target-host": { type: "string" },
+        yes: { type: "boolean", short: "y" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    throw usageError(`${error.message}\n\n${USAGE}`);
+  }
+
+  if (parsed.values["copy-back"] && parsed.values["move-back"]) {
+    throw usageError("Use either --copy-back or --move-back, not both");
+  }
+  const partial = parsed.values.databases || parsed.values.tables;
+  if (parsed.values.import && !partial) {
+    throw usageError("--import needs --databases or --tables");
+  }
+  if (partial && (parsed.values["copy-back"] || parsed.values["move-back"])) {
+    throw usageError("--databases and --tables can't be combined with --copy-back or --move-back; use --import");
+  }
+  if (partial && (parsed.values.until || parsed.values["until-position"])) {
+    throw usageError("Point-in-time recovery restores the whole instance; it can't be combined with --databases or --tables");
+  }
+
+  const command = parsed.positionals[0] || "interactive";
+  if (!["interactive", "list", "backups", "prepare", "verify", "verify-remote", "logical", "load"].includes(command)) {
+    throw usageError(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+  if (command === "load" && parsed.values.tables) {
+    throw usageError("Logical backups are loaded a whole database at a time; use --databases");
+  }
+  if (command !== "load" && (parsed.values.as || parsed.values["target-host"])) {
+    throw usageError("--as and --target-host only apply to the load command");
+  }
+  return { command, options: parsed.values };
+}
+
+// Function to print the backup table, numbered from offset + 1
+function printBackups(backups, offset = 0) {
+  console.log("─".repeat(80));
+  console.log("No. | Type        | Date & Time          | Size      | Filename");
+  console.log("─".repeat(80));
+  
+  backups.forEach((backup, index) => {
+    const type = backup.isIncremental ? "Incremental" : "Full      ";
+    const dateStr = backup.date.toISOString().replace("T", " ").slice(0, 19);
+    const sizeStr = formatBytes(backup.size).padEnd(9);
+    console.log(
+      `${(offset + index + 1).toString().padStart(2)}. | ${type} | ${dateStr} | ${sizeStr} | ${backup.filename}`
+    );
+  });
+  console.log("─".repeat(80));
+}
+
+// Function to pick the base backup for a point-in-time restore
+function selectBackupForTarget(backups, target) {
+  const selectedBackup = findBackupForTarget(backups, target);
+  if (!selectedBackup) {
+    const error = new Error(`No backup was taken before ${target.description}`);
+    error.exitCode = EXIT_NOT_FOUND;
+    throw error;
+  }
+  log(`\nPoint-in-time target: ${target.description}`);
+  log(`Restoring from nearest preceding backup: ${selectedBackup.filename}`);
+  return selectedBackup;
+}
+
+// Function to pick a backup from --backup or --at
+function selectBackupFromOptions(backups, options) {
+  let selectedBackup;
+  if (options.backup === "latest") {
+    selectedBackup = backups[0];
+  } else if (options.backup) {
+    selectedBackup = backups.find(
+      (b) => b.name === options.backup || b.filename === options.backup,
+    );
+  } else {
+    const datetime = new Date(options.at);
+    if (isNaN(datetime)) {
+      throw usageError(`Invalid --at "${options.at}", expected "YYYY-MM-DD HH:MM:SS"`);
+    }
+    selectedBackup = findBackupForTarget(backups, { datetime });
+  }
+
+  if (!selectedBackup) {
+    const error = new Error(`No backup matches ${options.backup ? `--backup ${options.backup}` : `--at ${options.at}`}`);
+    error.exitCode = EXIT_NOT_FOUND;
+    throw error;
+  }
+  log(`\nSelected: ${selectedBackup.filename}`);
+  return selectedBackup;
+}
+
+// Backups shown per page when picking one interactively
+const PAGE_SIZE = 20;
+
+// Function to let the user pick a backup from a list, a page at a time
+async function selectBackupInteractively(backups) {
+  let page = 0;
+  const pages = Math.ceil(backups.length / PAGE_SIZE);
+
+  while (true) {
+    const start = page * PAGE_SIZE;
+    console.log(`\nAvailable backups (most recent first, page ${page + 1} of ${pages}):`);
+    printBackups(backups.slice(start, start + PAGE_SIZE), start);
+
+    // Get user selection
+    const more = page + 1 < pages ? ", 'n' for older backups" : "";
+    const previous = page > 0 ? ", 'p' for newer backups" : "";
+    const selection = await getUserInput(`\nEnter backup number to restore${more}${previous} (or 'q' to quit): `);
+
+    if (selection.toLowerCase() === "q") {
+      log("Restore cancelled.");
+      return null;
+    }
+    if (selection.toLowerCase() === "n" && more) {
+      page++;
+      continue;
+    }
+    if (selection.toLowerCase() === "p" && previous) {
+      page--;
+      continue;
+    }
+
+    const selectedIndex = parseInt(selection) - 1;
+    if (isNaN(selectedIndex) || selectedIndex < 0 || selectedIndex >= backups.length) {
+      logError("Invalid selection.");
+      return null;
+    }
+
+    const selectedBackup = backups[selectedIndex];
+    log(`\nSelected: ${selectedBackup.filename}`);
+    return selectedBackup;
+  }
+}
+
+// Function to resolve, confirm and run a restore of the selected backup
+async function runRestore(backups, selectedBackup, target, options) {
+  // Find all related backups needed for restore
+  const backupsToRestore = findRelatedBackups(backups, selectedBackup);
+  
+  log("\nBackups required for restore:");
+  backupsToRestore.forEach((backup, index) => {
+    log(`  ${index + 1}. ${backup.filename} (${formatBytes(backup.size)})`);
+  });
+  if (target) {
+    log(`  then archived binlogs up to ${target.description}`);
+  }
+  const backMode = options["move-back"] ? "move" : options["copy-back"] ? "copy" : null;
+  if (backMode) {
+    log(`  then ${backMode} the result into ${config.mysqlDatadir} (the current data directory is moved aside)`);
+  }
+  const tableFilter = getTableFilter(options);
+  if (tableFilter) {
+    log(`  then export ${tableFilter.description}`);
+  }
+  if (options.import) {
+    log(`  then import them into ${config.dbHost}:${config.dbPort}, REPLACING the current contents of those tables`);
+  }
+  
+  if (!options.yes) {
+    if (!process.stdin.isTTY) {
+      throw usageError("Refusing to restore without confirmation; pass --yes when not running on a TTY");
+    }
+    const proceed = await getUserInput("\nProceed with restore? (yes/no): ");
+    
+    if (proceed.toLowerCase() !== "yes") {
+      log("Restore cancelled.");
+      return;
+    }
+  }
+  
+  // Create restore directory
+  await fs.mkdir(config.restoreRoot, { recursive: true });
+  
+  if (tableFilter) {
+    await restoreTables(backupsToRestore, tableFilter, options);
+    return;
+  }
+
+  // Perform restore
+  const restored = await restoreBackups(backupsToRestore, target);
+  if (!backMode) {
+    printRestoreInstructions(restored, target);
+    return;
+  }
+
+  await copyBackToDatadir(restored.baseDir, backMode);
+  if (restored.replayFile) {
+    log(`Replay binlogs up to ${target.description} once MySQL is running: mysql -u root -p < ${restored.replayFile}`);
+  }
+}
+
+// list command: print all backups, or JSON with --json
+async function listCommand(options) {
+  setLogToStderr(Boolean(options.json));
+  const backups = await listBackups();
+
+  if (options.json) {
+    console.log(JSON.stringify(
+      backups.map((backup) => ({
+        name: backup.name,
+        key: backup.key,
+        type: backup.isIncremental ? "incremental" : "full",
+        date: backup.date.toISOString(),
+        size: backup.size,
+        manifest: backup.manifest,
+      })),
+      null,
+      2,
+    ));
+    return;
+  }
+
+  console.log("\nAvailable backups (most recent first):");
+  printBackups(backups);
+}
+
+// Helper function to parse a --since/--before date
+function parseDateOption(options, name) {
+  if (!options[name]) return null;
+  const date = new Date(options[name]);
+  if (isNaN(date)) {
+    throw usageError(`Invalid --${name} "${options[name]}", expected "YYYY-MM-DD HH:MM:SS"`);
+  }
+  return date;
+}
+
+// Function to print the details of a single backup and what restoring it takes
+function printBackupDetails(backup, restoreChain) {
+  const { manifest } = backup;
+  const rows = [
+    ["Name", backup.name],
+    ["Type", backup.isIncremental ? "incremental" : "full"],
+    ["Date", backup.date.toISOString()],
+    ["Archive", `${backup.key} (${formatBytes(backup.size)})`],
+  ];
+  if (manifest) {
+    rows.push(
+      ["Format", `${manifest.format}, ${manifest.compression}${manifest.compressionLevel ? ` level ${manifest.compressionLevel}` : ""}${manifest.encryption ? `, encrypted (${manifest.encryption.method}, key ${manifest.encryption.keyId})` : ""}`],
+      ["LSN", `${manifest.fromLsn} to ${manifest.toLsn}`],
+      ["Based on", manifest.parentId || "-"],
+      ["Binlog", manifest.binlog ? `${manifest.binlog.file}:${manifest.binlog.position}${manifest.binlog.gtid ? ` (GTID ${manifest.binlog.gtid})` : ""}` : "-"],
+      ["Started", manifest.startedAt],
+      ["Finished", manifest.finishedAt],
+      ["sha256", manifest.sha256 || "-"],
+      ["Tools", Object.entries(manifest.toolVersions || {}).map(([tool, version]) => `${tool} ${version}`).join(", ") || "-"],
+    );
+  } else {
+    rows.push(["Manifest", "none (taken by an older version)"]);
+  }
+  const width = Math.max(...rows.map(([label]) => label.length));
+  rows.forEach(([label, value]) => console.log(`${label.padEnd(width)}  ${value}`));
+
+  const total = restoreChain.reduce((sum, b) => sum + b.size, 0);
+  console.log(`\nRestoring it takes ${restoreChain.length} backup(s), ${formatBytes(total)} to download:`);
+  restoreChain.forEach((b) => console.log(`  ${b.filename}`));
+}
+
+// backups command: browse backups grouped by chain, with optional filters,
+// or show the details of one with --backup
+async function backupsCommand(options) {
+  setLogToStderr(Boolean(options.json));
+  const backups = await listBackups();
+
+  if (options.backup) {
+    const backup = backups.find((b) => b.name === options.backup || b.filename === options.backup);
+    if (!backup) {
+      const error = new Error(`No backup named ${options.backup}`);
+      error.exitCode = EXIT_NOT_FOUND;
+      throw error;
+    }
+    let restoreChain = [];
+    let chainError = null;
+    try {
+      restoreChain = findRelatedBackups(backups, backup);
+    } catch (error) {
+      chainError = error.message;
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify({
+        name: backup.name,
+        key: backup.key,
+        type: backup.isIncremental ? "incremental" : "full",
+        date: backup.date.toISOString(),
+        size: backup.size,
+        manifest: backup.manifest,
+        restoreChain: restoreChain.map((b) => b.name),
+        chainError,
+      }, null, 2));
+      return;
+    }
+    printBackupDetails(backup, restoreChain);
+    if (chainError) {
+      console.log(`\nCannot be restored: ${chainError}`);
+    }
+    return;
+  }
+
+  const since = parseDateOption(options, "since");
+  const before = parseDateOption(options, "before");
+  if (options.type && !["full", "incremental"].includes(options.type)) {
+    throw usageError(`Invalid --type "${options.type}", expected full or incremental`);
+  }
+  const matches = (backup) =>
+    (!since || backup.date >= since) &&
+    (!before || backup.date < before) &&
+    (!options.type || (options.type === "incremental") === backup.isIncremental);
+
+  // Chains are grouped from all backups, then filtered, so a chain is never
+  // split by the filters, only shortened
+  const chains = groupIntoChains([...backups].reverse())
+    .map((chain) => ({ ...chain, shown: chain.backups.filter(matches) }))
+    .filter((chain) => chain.shown.length > 0)
+    .reverse();
+
+  const summarize = (chain) => ({
+    full: chain.full?.name || null,
+    backups: chain.backups.length,
+    size: chain.backups.reduce((sum, b) => sum + b.size, 0),
+    first: chain.backups[0].date.toISOString(),
+    last: chain.backups[chain.backups.length - 1].date.toISOString(),
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(
+      chains.map((chain) => ({
+        ...summarize(chain),
+        matching: chain.shown.map((b) => ({
+          name: b.name,
+          type: b.isIncremental ? "incremental" : "full",
+          date: b.date.toISOString(),
+          size: b.size,
+        })),
+      })),
+      null,
+      2,
+    ));
+    return;
+  }
+
+  if (chains.length === 0) {
+    console.log("No backups match.");
+    return;
+  }
+  for (const chain of chains) {
+    const summary = summarize(chain);
+    const title = chain.full ? `Chain ${chain.full.name}` : "Incrementals without a full backup (not restorable)";
+    console.log(`\n${title}: ${summary.backups} backup(s), ${formatBytes(summary.size)}, ${summary.first.slice(0, 16).replace("T", " ")} to ${summary.last.slice(0, 16).replace("T", " ")}`);
+    for (const backup of chain.shown) {
+      const type = backup.isIncremental ? "inc " : "full";
+      console.log(`  ${type}  ${backup.date.toISOString().replace("T", " ").slice(0, 19)}  ${formatBytes(backup.size).padStart(10)}  ${backup.name}`);
+    }
+  }
+  const shown = chains.reduce((sum, chain) => sum + chain.shown.length, 0);
+  const size = chains.reduce((sum, chain) => sum + chain.shown.reduce((total, b) => total + b.size, 0), 0);
+  console.log(`\n${shown} backup(s) in ${chains.length} chain(s), ${formatBytes(size)} in total`);
+}
+
+// verify-remote command: audit stored archives against the size and sha256
+// in their manifests. Each archive is read back in ranges (with retries) and
+// hashed; with --quick only sizes are compared and nothing is downloaded.
+// Exits with EXIT_FAILURE if any archive is missing or doesn't match.
+async function verifyRemoteCommand(options) {
+  setLogToStderr(Boolean(options.json));
+  const backups = (await listBackups()).reverse();
+  const selected = options.backup
+    ? backups.filter((backup) => backup.name === options.backup)
+    : backups;
+  if (options.backup && selected.length === 0) {
+    const error = new Error(`No backup named ${options.backup}`);
+    error.exitCode = EXIT_NOT_FOUND;
+    throw error;
+  }
+
+  const results = [];
+  for (const backup of selected) {
+    const { manifest } = backup;
+    const result = { name: backup.name, key: backup.key, size: backup.size };
+    if (!manifest?.sha256) {
+      result.status = "unchecked";
+      result.detail = "no checksum recorded";
+    } else if (manifest.size !== undefined && manifest.size !== backup.size) {
+      result.status = "mismatch";
+      result.detail = `size ${backup.size}, manifest says ${manifest.size}`;
+    } else if (options.quick) {
+      result.status = "ok";
+      result.detail = "size matches";
+    } else {
+      const hash = crypto.createHash("sha256");
+      for await (const chunk of streamFromStorage(backup.key, backup.size, backup.etag)) {
+        hash.update(chunk);
+      }
+      const sha256 = hash.digest("hex");
+      result.status = sha256 === manifest.sha256 ? "ok" : "mismatch";
+      result.detail = sha256 === manifest.sha256 ? "sha256 matches" : `sha256 ${sha256}, manifest says ${manifest.sha256}`;
+    }
+    log(`${backup.filename}: ${result.status} (${result.detail})`);
+    results.push(result);
+  }
+
+  // Backups in the catalog whose archive is gone
+  if (!options.backup) {
+    const catalog = await storage.getJson("catalog.json");
+    const present = new Set(backups.map((backup) => backup.name));
+    for (const manifest of catalog?.backups || []) {
+      if (!present.has(manifest.id)) {
+        const result = { name: manifest.id, key: manifest.archive, status: "missing", detail: "in the catalog, but not in storage" };
+        log(`${manifest.archive}: ${result.status} (${result.detail})`);
+        results.push(result);
+      }
+    }
+  }
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const failed = count("mismatch") + count("missing");
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    console.log(
+      `\nChecked ${results.length} backup(s) on ${storage.name}: ${count("ok")} ok, ` +
+      `${count("mismatch")} mismatched, ${count("missing")} missing, ${count("unchecked")} without a checksum`,
+    );
+  }
+
+  if (failed > 0) {
+    const error = new Error(`${failed} backup(s) failed verification`);
+    error.exitCode = EXIT_FAILURE;
+    throw error;
+  }
+}
+
+// prepare command: non-interactive restore for scripts and CI
+async function prepareCommand(options) {
+  const target = getPointInTimeTarget(options);
+  if (!target && !options.backup && !options.at) {
+    throw usageError(`prepare needs --backup, --at, --until or --until-position\n\n${USAGE}`);
+  }
+
+  const backups = await listBackups();
+  const selectedBackup = target
+    ? selectBackupForTarget(backups, target)
+    : selectBackupFromOptions(backups, options);
+  await runRestore(backups, selectedBackup, target, options);
+}
+
+// logical command: print the logical backups and the databases in each,
+// or JSON with --json
+async function logicalCommand(options) {
+  setLogToStderr(Boolean(options.json));
+  const backups = await listLogicalBackups();
+
+  if (options.json) {
+    console.log(JSON.stringify(backups.map((backup) => backup.manifest), null, 2));
+    return;
+  }
+  if (backups.length === 0) {
+    console.log(`No logical backups found in ${storage.name}`);
+    return;
+  }
+
+  console.log("\nLogical backups (most recent first):");
+  for (const backup of backups) {
+    const { manifest } = backup;
+    console.log(
+      `\n${backup.date.toISOString().replace("T", " ").slice(0, 19)}  ${backup.name}  ` +
+        `${manifest.format === "mydumper" ? "mydumper" : "mysqldump"}, MySQL ${manifest.serverVersion}, ${formatBytes(backup.size)}`,
+    );
+    for (const dump of backup.dumps) {
+      console.log(`  ${dump.name.padEnd(30)} ${formatBytes(dump.size).padStart(10)}`);
+    }
+  }
+}
+
+// load command: load databases from a logical backup into DB_HOST or
+// --target-host, which may run another MySQL version than the backed-up
+// server or be a managed database
+async function loadCommand(options) {
+  if (!options.backup) {
+    throw usageError(`load needs --backup\n\n${USAGE}`);
+  }
+  if (options["target-host"]) {
+    [config.dbHost, config.dbPort = "3306"] = options["target-host"].split(":");
+  }
+
+  const backups = await listLogicalBackups();
+  const backup = options.backup === "latest"
+    ? backups[0]
+    : backups.find((b) => b.name === options.backup);
+  if (!backup) {
+    const error = new Error(`No logical backup matches --backup ${options.backup}`);
+    error.exitCode = EXIT_NOT_FOUND;
+    throw error;
+  }
+
+  const selected = (options.databases || "").split(",").map((name) => name.trim()).filter(Boolean);
+  const missing = selected.filter((name) => !backup.dumps.some((dump) => dump.name === name));
+  if (missing.length > 0) {
+    const error = new Error(`${backup.name} has no dump of ${missing.join(", ")}`);
+    error.exitCode = EXIT_NOT_FOUND;
+    throw error;
+  }
+  const dumps = selected.length > 0
+    ? backup.dumps.filter((dump) => selected.includes(dump.name))
+    : backup.dumps;
+  if (options.as && dumps.length !== 1) {
+    throw usageError("--as renames a single database; pick it with --databases");
+  }
+  const gone = dumps.filter((dump) => !dump.object);
+  if (gone.length > 0) {
+    throw new Error(`The dump of ${gone.map((dump) => dump.name).join(", ")} is missing from ${storage.name}`);
+  }
+  const names = new Map(dumps.map((dump) => [dump.name, options.as || dump.name]));
+
+  log(`\nDatabases to load from ${backup.name} into ${config.dbHost}:${config.dbPort}:`);
+  for (const dump of dumps) {
+    const name = names.get(dump.name);
+    log(`  ${dump.name}${name !== dump.name ? ` as ${name}` : ""} (${formatBytes(dump.size)})`);
+  }
+  log("Tables in the dumps REPLACE tables of the same name; other tables in these databases are left alone.");
+
+  if (!options.yes) {
+    if (!process.stdin.isTTY) {
+      throw usageError("Refusing to load without confirmation; pass --yes when not running on a TTY");
+    }
+    const proceed = await getUserInput("\nProceed with load? (yes/no): ");
+    if (proceed.toLowerCase() !== "yes") {
+      log("Load cancelled.");
+      return;
+    }
+  }
+
+  await fs.mkdir(config.restoreRoot, { recursive: true });
+  try {
+    await loadLogicalBackup(backup, dumps, names);
+  } finally {
+    // Dumps are deleted once loaded; a partial download is kept to resume
+    await fs.rmdir(config.restoreRoot).catch(() => {});
+  }
+  log(`\n=== Loaded ${dumps.length} database(s) from ${backup.name} ===`);
+}
+
+// verify command: prove the latest backup restores. The chain is prepared in
+// a scratch directory, started in a throwaway mysqld and checked with sanity
+// SQL; everything is removed afterwards unless VERIFY_KEEP is set.
+async function verifyCommand() {
+  if (config.verifyPort !== null && !(config.verifyPort >= 1 && config.verifyPort <= 65535)) {
+    throw usageError(`Invalid VERIFY_PORT "${process.env.VERIFY_PORT}", expected a port number`);
+  }
+  config.restoreRoot = config.verifyDir;
+  config.targetDir = path.join(config.verifyDir, "data");
+  let mysqld = null;
+
+  try {
+    const backups = await listBackups();
+    if (backups.length === 0) {
+      const error = new Error("No backups to verify");
+      error.exitCode = EXIT_NOT_FOUND;
+      throw error;
+    }
+
+    const chain = findRelatedBackups(backups, backups[0]);
+    log(`Verifying ${backups[0].filename} (${chain.length} backup(s) in chain)`);
+
+    await fs.mkdir(config.restoreRoot, { recursive: true });
+    const { baseDir } = await restoreBackups(chain);
+
+    mysqld = await startScratchMysqld(baseDir);
+    log("Running sanity checks...");
+    const summary = await runSanityChecks(mysqld.connection);
+
+    log(`\n=== Verification passed: ${backups[0].filename} (${summary}) ===`);
+    await reportVerification(true);
+  } catch (error) {
+    await reportVerification(false);
+    throw error;
+  } finally {
+    if (mysqld) {
+      await stopScratchMysqld(mysqld);
+    }
+    if (!config.verifyKeep) {
+      await fs.rm(config.verifyDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Interactive mode, the default when run on a TTY
+async function interactiveRestore(options) {
+  if (!process.stdin.isTTY) {
+    throw usageError(`No TTY for interactive mode; use the list or prepare commands\n\n${USAGE}`);
+  }
+
+  log("=== XtraBackup Restore Tool ===\n");
+  
+  // List backups
+  log(`Fetching backup list from ${storage.name}...`);
+  const backups = await listBackups();
+  
+  if (backups.length === 0) {
+    log("No backups found.");
+    return;
+  }
+  
+  const target = getPointInTimeTarget(options);
+  const selectedBackup = target
+    ? selectBackupForTarget(backups, target)
+    : await selectBackupInteractively(backups);
+  if (!selectedBackup) return;
+  
+  await runRestore(backups, selectedBackup, target, options);
+}
+
+// Main function
+async function main() {
+  const { command, options } = parseCommandLine();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (options["target-dir"]) {
+    config.targetDir = path.resolve(options["target-dir"]);
+  }
+  if (options.datadir) {
+    config.mysqlDatadir = path.resolve(options.datadir);
+  }
+  storage = openStorage(options);
+
+  if (command === "list") {
+    await listCommand(options);
+  } else if (command === "backups") {
+    await backupsCommand(options);
+  } else if (command === "prepare") {
+    await prepareCommand(options);
+  } else if (command === "verify") {
+    await verifyCommand();
+  } else if (command === "verify-remote") {
+    await verifyRemoteCommand(options);
+  } else if (command === "logical") {
+    await logicalCommand(options);
+  } else if (command === "load") {
+    await loadCommand(options);
+  } else {
+    await interactiveRestore(options);
+  }
+}
+
+// Run the restore tool. When the scheduler runs it (restore verification),
+// it passes its run id so the logs of both line up.
+runWithLogContext(
+  { runId: process.env.LOG_RUN_ID || crypto.randomUUID(), task: "restore" },
+  main,
+).catch((error) => {
+  if (error.exitCode === EXIT_USAGE) {
+    logError(error.message);
+  } else {
+    logError("Restore failed:", error);
+  }
+  process.exit(error.exitCode || EXIT_FAILURE);
+});
@@ -0,0 +1,75 @@
+import test from "node:test";
+import assert from "assert/strict";
+import {
+  findChainByLsn,
+  formatDuration,
+  getBinlogSequence,
+  groupIntoChains,
+  parseBackupDate,
+} from "../lib/backups.js";
+
+// Helper function to build a backup with a manifest, as restore lists them
+function backup(filename, date, manifest) {
+  return { filename, date: new Date(date), manifest: { id: filename, ...manifest } };
+}
+
+test("parseBackupDate reads timestamps and dates as UTC", () => {
+  assert.equal(parseBackupDate("20261019123456").toISOString(), "2026-10-19T12:34:56.000Z");
+  assert.equal(parseBackupDate("20261019").toISOString(), "2026-10-19T00:00:00.000Z");
+});
+
+test("getBinlogSequence reads the sequence number of archived and live binlogs", () => {
+  assert.equal(getBinlogSequence("binlog.000012"), 12);
+  assert.equal(getBinlogSequence("mysql-bin.000345.gz"), 345);
+});
+
+test("groupIntoChains starts a chain at each full backup", () => {
+  const backups = [
+    { name: "inc0", isIncremental: true },
+    { name: "full1", isIncremental: false },
+    { name: "inc1", isIncremental: true },
+    { name: "full2", isIncremental: false },
+  ];
+  const chains = groupIntoChains(backups);
+  assert.deepEqual(
+    chains.map((chain) => [chain.full?.name ?? null, chain.backups.map((b) => b.name)]),
+    [
+      [null, ["inc0"]],
+      ["full1", ["full1", "inc1"]],
+      ["full2", ["full2"]],
+    ],
+  );
+});
+
+test("findChainByLsn follows LSNs back to the full backup", () => {
+  const full = backup("full", "2026-10-01", { type: "full", fromLsn: "0", toLsn: "100" });
+  const inc1 = backup("inc1", "2026-10-02", { type: "incremental", fromLsn: "100", toLsn: "200", parentId: "full" });
+  const inc2 = backup("inc2", "2026-10-03", { type: "incremental", fromLsn: "200", toLsn: "300", parentId: "inc1" });
+  assert.deepEqual(findChainByLsn([full, inc1, inc2], inc2), [full, inc1, inc2]);
+});
+
+test("findChainByLsn prefers the recorded parent among backups ending at the same LSN", () => {
+  const full = backup("full", "2026-10-01", { type: "full", fromLsn: "0", toLsn: "100" });
+  const inc1 = backup("inc1", "2026-10-02", { type: "incremental", fromLsn: "100", toLsn: "100", parentId: "full" });
+  const inc2 = backup("inc2", "2026-10-03", { type: "incremental", fromLsn: "100", toLsn: "150", parentId: "full" });
+  assert.deepEqual(findChainByLsn([full, inc1, inc2], inc2), [full, inc2]);
+});
+
+test("findChainByLsn reports a gap when the base backup is missing", () => {
+  const full = backup("full", "2026-10-01", { type: "full", fromLsn: "0", toLsn: "100" });
+  const inc2 = backup("inc2", "2026-10-03", { type: "incremental", fromLsn: "200", toLsn: "300", parentId: "inc1" });
+  assert.throws(() => findChainByLsn([full, inc2], inc2), /Gap in backup chain: no backup ends at LSN 200/);
+});
+
+test("findChainByLsn rejects an incremental whose LSN range runs backwards", () => {
+  const full = backup("full", "2026-10-01", { type: "full", fromLsn: "0", toLsn: "100" });
+  const inc = backup("inc", "2026-10-02", { type: "incremental", fromLsn: "100", toLsn: "90", parentId: "full" });
+  assert.throws(() => findChainByLsn([full, inc], inc), /Invalid LSN range in inc: 100 to 90/);
+});
+
+test("formatDuration", () => {
+  assert.equal(formatDuration(42), "42s");
+  assert.equal(formatDuration(125), "2m 5s");
+  assert.equal(formatDuration(3 * 3600 + 120), "3h 2m");
+  assert.equal(formatDuration(Infinity), "--");
+});
@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "assert/strict";
+import crypto from "crypto";
+import { Readable } from "stream";
+import { buffer } from "stream/consumers";
+import { pipeline } from "stream/promises";
+import { createDecryptStream, createEncryptStream, createNoncePrefix, getKeyId } from "../lib/encryption.js";
+
+const key = crypto.randomBytes(32).toString("hex");
+const keys = new Map([[getKeyId(key), key]]);
+
+// Helper function to run data through a transform stream
+async function transform(data, stream) {
+  const chunks = [];
+  await pipeline(Readable.from([data]), stream, async (source) => {
+    for await (const chunk of source) chunks.push(chunk);
+  });
+  return Buffer.concat(chunks);
+}
+
+test("round trip across several segments", async () => {
+  // Larger than two 1 MiB segments, and not a multiple of their size
+  const data = crypto.randomBytes(2.5 * 1024 * 1024);
+  const encrypted = await transform(data, createEncryptStream(key));
+  assert.ok(encrypted.subarray(0, 8).equals(Buffer.from("XBSENC01")));
+  assert.ok((await transform(encrypted, createDecryptStream(keys))).equals(data));
+});
+
+test("round trip of an empty archive", async () => {
+  const encrypted = await buffer(Readable.from([]).pipe(createEncryptStream(key)));
+  const decrypted = await buffer(Readable.from([encrypted]).pipe(createDecryptStream(keys)));
+  assert.equal(decrypted.length, 0);
+});
+
+test("the same nonce prefix gives identical output, a new one doesn't", async () => {
+  const data = crypto.randomBytes(1000);
+  const noncePrefix = createNoncePrefix();
+  const first = await transform(data, createEncryptStream(key, noncePrefix));
+  const second = await transform(data, createEncryptStream(key, noncePrefix));
+  const third = await transform(data, createEncryptStream(key));
+  assert.ok(first.equals(second));
+  assert.ok(!first.equals(third));
+});
+
+test("an archive cut at a segment boundary fails on its last segment, which isn't marked final", async () => {
+  const data = crypto.randomBytes(1.5 * 1024 * 1024);
+  const encrypted = await transform(data, createEncryptStream(key));
+  // The header, then the first segment: length, 1 MiB of ciphertext, tag
+  const headerLength = 8 + 1 + getKeyId(key).length + 8;
+  const truncated = encrypted.subarray(0, headerLength + 4 + 1024 * 1024 + 16);
+  await assert.rejects(transform(truncated, createDecryptStream(keys)), /failed authentication/);
+});
+
+test("an archive cut inside a segment is reported as truncated", async () => {
+  const encrypted = await transform(crypto.randomBytes(1000), createEncryptStream(key));
+  await assert.rejects(
+    transform(encrypted.subarray(0, -10), createDecryptStream(keys)),
+    /Encrypted archive is truncated/,
+  );
+});
+
+test("tampered archives fail authentication", async () => {
+  const encrypted = await transform(crypto.randomBytes(1000), createEncryptStream(key));
+  encrypted[encrypted.length - 100] ^= 1;
+  await assert.rejects(transform(encrypted, createDecryptStream(keys)), /failed authentication/);
+});
+
+test("archives need the key they were encrypted with", async () => {
+  const encrypted = await transform(crypto.randomBytes(1000), createEncryptStream(key));
+  const other = crypto.randomBytes(32).toString("hex");
+  await assert.rejects(
+    transform(encrypted, createDecryptStream(new Map([[getKeyId(other), other]]))),
+    new RegExp(`No decryption key with id ${getKeyId(key)}`),
+  );
+  // A wrong key filed under the right id fails authentication
+  await assert.rejects(
+    transform(encrypted, createDecryptStream(new Map([[getKeyId(key), other]]))),
+    /failed authentication/,
+  );
+});
+
+test("files that aren't encrypted archives are rejected", async () => {
+  await assert.rejects(
+    transform(Buffer.from("not an encrypted archive at all"), createDecryptStream(keys)),
+    /Not an encrypted backup archive \(bad header\)/,
+  );
+});
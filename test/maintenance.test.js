@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "assert/strict";
+import { getNextMaintenanceWindow, isInMaintenanceWindow, parseMaintenanceWindows } from "../lib/maintenance.js";
+
+test("no windows means heavy work may always run", () => {
+  const windows = parseMaintenanceWindows("", "UTC");
+  assert.deepEqual(windows, []);
+  assert.equal(isInMaintenanceWindow(windows, new Date("2026-10-19T12:00:00Z")), true);
+});
+
+test("a window that ends before it starts runs past midnight", () => {
+  const windows = parseMaintenanceWindows("22:00-06:00", "UTC");
+  assert.equal(isInMaintenanceWindow(windows, new Date("2026-10-19T22:00:00Z")), true);
+  assert.equal(isInMaintenanceWindow(windows, new Date("2026-10-20T05:59:00Z")), true);
+  assert.equal(isInMaintenanceWindow(windows, new Date("2026-10-20T06:00:00Z")), false);
+  assert.equal(isInMaintenanceWindow(windows, new Date("2026-10-19T21:59:00Z")), false);
+});
+
+test("equal start and end times make a whole-day window", () => {
+  const windows = parseMaintenanceWindows("Sun 00:00-00:00", "UTC");
+  // 2026-10-18 is a Sunday
+  assert.equal(isInMaintenanceWindow(windows, new Date("2026-10-18T23:59:00Z")), true);
+  assert.equal(isInMaintenanceWindow(windows, new Date("2026-10-19T00:00:00Z")), false);
+});
+
+test("days limit when a window starts, and an overnight window carries into the next day", () => {
+  const windows = parseMaintenanceWindows("Sat,Sun 22:00-02:00", "UTC");
+  // Sunday night's window runs into Monday; Monday night's doesn't exist
+  assert.equal(isInMaintenanceWindow(windows, new Date("2026-10-19T01:00:00Z")), true);
+  assert.equal(isInMaintenanceWindow(windows, new Date("2026-10-19T23:00:00Z")), false);
+});
+
+test("getNextMaintenanceWindow returns the earliest next start", () => {
+  const windows = parseMaintenanceWindows("Mon-Fri 22:00-06:00; Sat 10:00-12:00", "UTC");
+  // Friday 2026-10-23 at noon: Friday night comes before Saturday morning
+  assert.equal(
+    getNextMaintenanceWindow(windows, new Date("2026-10-23T12:00:00Z")).toISOString(),
+    "2026-10-23T22:00:00.000Z",
+  );
+  assert.equal(
+    getNextMaintenanceWindow(windows, new Date("2026-10-24T07:00:00Z")).toISOString(),
+    "2026-10-24T10:00:00.000Z",
+  );
+});
+
+test("windows are in the given timezone", () => {
+  const windows = parseMaintenanceWindows("02:00-04:00", "Europe/Berlin");
+  // 02:30 in Berlin is 00:30 UTC in summer time
+  assert.equal(isInMaintenanceWindow(windows, new Date("2026-07-01T00:30:00Z")), true);
+  assert.equal(isInMaintenanceWindow(windows, new Date("2026-07-01T02:30:00Z")), false);
+  assert.equal(
+    getNextMaintenanceWindow(windows, new Date("2026-07-01T12:00:00Z")).toISOString(),
+    "2026-07-02T00:00:00.000Z",
+  );
+});
+
+test("invalid windows are rejected", () => {
+  assert.throws(() => parseMaintenanceWindows("22:00", "UTC"), /Invalid maintenance window "22:00"/);
+  assert.throws(() => parseMaintenanceWindows("25:00-06:00", "UTC"), /Invalid maintenance window/);
+  assert.throws(() => parseMaintenanceWindows("22:00-24:30", "UTC"), /Invalid maintenance window/);
+  assert.throws(() => parseMaintenanceWindows("Someday 22:00-06:00", "UTC"), /Invalid days "Someday"/);
+});
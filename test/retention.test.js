@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "assert/strict";
+import { selectRetainedBackups } from "../lib/retention.js";
+
+const none = { hourly: 0, daily: 0, weekly: 0, monthly: 0, yearly: 0 };
+
+// Helper function to build backups at the given UTC times
+function backupsAt(...dates) {
+  return dates.map((date) => ({ name: date, date: new Date(date) }));
+}
+
+// Helper function to list the names of the retained backups, oldest first
+function retainedNames(backups, retention) {
+  const retained = selectRetainedBackups(backups, { ...none, ...retention });
+  return backups.filter((backup) => retained.has(backup)).map((backup) => backup.name);
+}
+
+test("daily keeps the newest backup of each of the last N days", () => {
+  const backups = backupsAt(
+    "2026-10-17T01:00:00Z",
+    "2026-10-17T13:00:00Z",
+    "2026-10-18T01:00:00Z",
+    "2026-10-18T13:00:00Z",
+    "2026-10-19T01:00:00Z",
+  );
+  assert.deepEqual(retainedNames(backups, { daily: 2 }), ["2026-10-18T13:00:00Z", "2026-10-19T01:00:00Z"]);
+});
+
+test("hourly keeps the newest backup of each hour", () => {
+  const backups = backupsAt("2026-10-19T10:15:00Z", "2026-10-19T10:45:00Z", "2026-10-19T11:15:00Z");
+  assert.deepEqual(retainedNames(backups, { hourly: 5 }), ["2026-10-19T10:45:00Z", "2026-10-19T11:15:00Z"]);
+});
+
+test("weekly periods start on Monday", () => {
+  // 2026-10-18 is a Sunday and 2026-10-19 a Monday
+  const backups = backupsAt("2026-10-11T00:00:00Z", "2026-10-12T00:00:00Z", "2026-10-18T00:00:00Z", "2026-10-19T00:00:00Z");
+  assert.deepEqual(retainedNames(backups, { weekly: 2 }), ["2026-10-18T00:00:00Z", "2026-10-19T00:00:00Z"]);
+});
+
+test("a backup kept by any tier is retained", () => {
+  const backups = backupsAt("2025-12-31T00:00:00Z", "2026-09-30T00:00:00Z", "2026-10-19T00:00:00Z");
+  assert.deepEqual(retainedNames(backups, { daily: 1, monthly: 2, yearly: 2 }), [
+    "2025-12-31T00:00:00Z",
+    "2026-09-30T00:00:00Z",
+    "2026-10-19T00:00:00Z",
+  ]);
+});
+
+test("an empty policy retains nothing", () => {
+  assert.equal(selectRetainedBackups(backupsAt("2026-10-19T00:00:00Z"), none).size, 0);
+});
@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "assert/strict";
+import { classifyError, withRetry } from "../lib/retry.js";
+
+// Helper function to build an error with extra properties
+function error(message, properties = {}) {
+  return Object.assign(new Error(message), properties);
+}
+
+test("classifyError", () => {
+  assert.equal(classifyError(error("write failed", { code: "ENOSPC" })), "disk-full");
+  assert.equal(classifyError(error("xtrabackup failed", { stderr: "Errcode: 28 - No space left on device" })), "disk-full");
+  assert.equal(classifyError(error("xtrabackup exited with code 1", { command: "xtrabackup" })), "xtrabackup");
+  assert.equal(classifyError(error("connect failed", { code: "ECONNRESET" })), "transient");
+  assert.equal(classifyError(error("slow down", { name: "SlowDown" })), "transient");
+  assert.equal(classifyError(error("throttled", { $metadata: { httpStatusCode: 429 } })), "transient");
+  assert.equal(classifyError(error("server error", { $metadata: { httpStatusCode: 503 } })), "transient");
+  assert.equal(classifyError(error("socket hang up")), "transient");
+  assert.equal(classifyError(error("forbidden", { $metadata: { httpStatusCode: 403 } })), "other");
+  assert.equal(classifyError(error("Access denied for user")), "other");
+  assert.equal(classifyError(undefined), "other");
+});
+
+test("withRetry returns the result of a successful attempt", async () => {
+  assert.equal(await withRetry(async () => 42, { retries: 3 }), 42);
+});
+
+test("withRetry doesn't retry errors that aren't transient", async () => {
+  let attempts = 0;
+  const failure = error("Access denied for user");
+  await assert.rejects(
+    withRetry(
+      async () => {
+        attempts++;
+        throw failure;
+      },
+      { retries: 3 },
+    ),
+    failure,
+  );
+  assert.equal(attempts, 1);
+});
+
+test("withRetry retries transient errors and reports each retry", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const retries = [];
+  let attempts = 0;
+  const result = withRetry(
+    async () => {
+      if (++attempts < 3) throw error("connect failed", { code: "ETIMEDOUT" });
+      return "done";
+    },
+    {
+      retries: 3,
+      onRetry: (retryError, attempt, delay) => {
+        retries.push(attempt);
+        // Let the backoff pass on the next tick
+        setImmediate(() => t.mock.timers.tick(delay));
+      },
+    },
+  );
+  assert.equal(await result, "done");
+  assert.deepEqual(retries, [1, 2]);
+});
+
+test("withRetry gives up after the given number of retries", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  let attempts = 0;
+  await assert.rejects(
+    withRetry(
+      async () => {
+        attempts++;
+        throw error("connect failed", { code: "ECONNRESET" });
+      },
+      { retries: 1, onRetry: (retryError, attempt, delay) => setImmediate(() => t.mock.timers.tick(delay)) },
+    ),
+    /connect failed/,
+  );
+  assert.equal(attempts, 2);
+});
@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { PassThrough, Readable } from "stream";
+import { buffer } from "stream/consumers";
+import { createStorage, putToAll, redactUrl } from "../lib/storage.js";
+
+// Helper function to create a storage that keeps what is put in memory
+function createMemoryStorage() {
+  const objects = new Map();
+  return {
+    objects,
+    async put(key, body) {
+      objects.set(key, await buffer(body));
+    },
+  };
+}
+
+// Helper function to create a storage whose uploads fail after the first chunk
+function createFailingStorage() {
+  return {
+    put(key, body) {
+      return new Promise((resolve, reject) => {
+        body.once("data", () => reject(new Error("connection lost")));
+      });
+    },
+  };
+}
+
+test("putToAll uploads a copy of the stream to every storage", async () => {
+  const storages = [createMemoryStorage(), createMemoryStorage()];
+  const data = Buffer.alloc(256 * 1024, 7);
+  const results = await putToAll(Readable.from([data, data]), "backup.tar.gz", storages);
+  assert.deepEqual(results.map((result) => result.status), ["fulfilled", "fulfilled"]);
+  for (const storage of storages) {
+    assert.ok(storage.objects.get("backup.tar.gz").equals(Buffer.concat([data, data])));
+  }
+});
+
+test("a failing storage doesn't hold back the others", async () => {
+  const storage = createMemoryStorage();
+  // Many chunks, well past the copies' buffers, so a stalled copy would block
+  const chunks = Array.from({ length: 64 }, (_, i) => Buffer.alloc(64 * 1024, i));
+  const results = await putToAll(Readable.from(chunks), "backup.tar.gz", [createFailingStorage(), storage]);
+  assert.equal(results[0].status, "rejected");
+  assert.equal(results[0].reason.message, "connection lost");
+  assert.equal(results[1].status, "fulfilled");
+  assert.ok(storage.objects.get("backup.tar.gz").equals(Buffer.concat(chunks)));
+});
+
+test("the stream is destroyed when every storage fails", async () => {
+  const source = new PassThrough();
+  source.write(Buffer.alloc(1024));
+  const results = await putToAll(source, "backup.tar.gz", [createFailingStorage(), createFailingStorage()]);
+  assert.deepEqual(results.map((result) => result.status), ["rejected", "rejected"]);
+  assert.equal(source.destroyed, true);
+});
+
+test("an error in the stream fails every upload", async () => {
+  const source = new PassThrough();
+  const pending = putToAll(source, "backup.tar.gz", [createMemoryStorage(), createMemoryStorage()]);
+  source.destroy(new Error("xtrabackup exited with code 1"));
+  const results = await pending;
+  assert.deepEqual(results.map((result) => result.status), ["rejected", "rejected"]);
+});
+
+test("file storage round trip", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "storage-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const storage = createStorage(`file://${dir}`);
+
+  await storage.put("full_backup_20261019000000.tar.gz", Readable.from([Buffer.from("archive")]));
+  await storage.putJson("manifest.json", { type: "full" });
+  assert.deepEqual(
+    (await storage.list("")).map((object) => object.key).sort(),
+    ["full_backup_20261019000000.tar.gz", "manifest.json"],
+  );
+  const { body } = await storage.get("full_backup_20261019000000.tar.gz");
+  assert.equal((await buffer(body)).toString(), "archive");
+  assert.deepEqual(await storage.getJson("manifest.json"), { type: "full" });
+  assert.equal(await storage.getJson("missing.json"), null);
+
+  await storage.delete("manifest.json");
+  assert.deepEqual((await storage.list("")).map((object) => object.key), ["full_backup_20261019000000.tar.gz"]);
+});
+
+test("redactUrl hides credentials", () => {
+  assert.equal(redactUrl("s3://KEY:SECRET@bucket/prefix"), "s3://***@bucket/prefix");
+});